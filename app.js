@@ -0,0 +1,6703 @@
+import express from "express";
+import multer from "multer";
+import cors from 'cors';
+import XLSX from "xlsx";
+import path from "path";
+import { pathToFileURL } from "url";
+import { once } from "events";
+import { randomUUID } from "crypto";
+import prisma from "./src/lib/prisma.js";
+import { compositionKey, ingredientKey, saltFromComposition, normalizeAlias } from "./src/lib/composition.js";
+import { dosageClassifier, resolveSaltAlias, reloadDosageForms, setSaltAliases, parseContents, cleanContents, detectType } from "./src/lib/medicine-fields.js";
+import { parsePackQuantity, comparableUnits } from "./src/lib/packing.js";
+import { SCHEDULES, GST_RATES, parseSchedule, parseHsnCode, parseGstRate, schedulesCompatible } from "./src/lib/regulatory.js";
+import { parsePrescriptionLine } from "./src/lib/prescription.js";
+import { INTERACTION_SEVERITIES, interactionPair, findDuplicateTherapy, matchInteractions } from "./src/lib/interactions.js";
+import { createSearchIndex } from "./src/lib/search-index.js";
+import { similarityScore, normalizeString } from "./src/lib/matching.js";
+import { ROW_NUMBER, SHEET_NAME, DELIMITED_EXTENSIONS, readExcelSmart, readDelimitedFile, readJsonRows } from "./src/lib/sheets.js";
+import { generateApiKey, hashApiKey } from "./src/lib/api-keys.js";
+import { generateWebhookSecret, signWebhookPayload, retryDelay } from "./src/lib/webhooks.js";
+import { createLruStore, createResponseCache } from "./src/lib/cache.js";
+import { createRateLimiter } from "./src/lib/rate-limit.js";
+import { validate } from "./src/lib/schema.js";
+import { createApiRegistry, docsPage } from "./src/lib/openapi.js";
+
+const app = express();
+app.use(express.json({ limit: "10mb" }));
+
+// Machine-readable codes added to error responses that do not set their own
+const ERROR_CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    429: "RATE_LIMITED",
+    500: "INTERNAL_ERROR"
+};
+
+app.use((req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+        if (res.statusCode >= 400 && typeof body?.error === "string" && !body.code) {
+            body = { ...body, code: ERROR_CODES[res.statusCode] ?? (res.statusCode >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST") };
+        }
+        return json(body);
+    };
+
+    next();
+});
+
+// Comma-separated list of allowed origins, or "*"
+const CORS_ORIGINS = process.env.CORS_ORIGINS?.split(",").map(o => o.trim()) ?? "*";
+
+app.use(cors({
+    origin: CORS_ORIGINS,
+    methods: ["GET", "POST", "PATCH", "DELETE"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Uploaded-By"],
+    exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After", "X-Cache"]
+}));
+
+// Proxy hops to trust for the client address - "1", "true" or a subnet list. Anonymous
+// clients are rate limited by address, so set this when running behind a proxy.
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust === "true" || trust);
+}
+
+const upload = multer({ dest: "uploads/" });
+
+// Columns an upload sheet can provide, as named in the standard distributor layout
+const UPLOAD_COLUMNS = [
+    "PRODUCT NAME", "CONTENTS", "PACKING", "PTR", "MRP", "SHIPPER SIZE",
+    "MANUFACTURER", "SCHEDULE", "HSN CODE", "GST RATE"
+];
+
+// Other headers the default profile reads the optional columns from
+const DEFAULT_HEADER_ALIASES = {
+    "MANUFACTURER": ["MFR", "MANUFACTURED BY", "COMPANY"],
+    "SCHEDULE": ["DRUG SCHEDULE"],
+    "HSN CODE": ["HSN"],
+    "GST RATE": ["GST", "GST %", "GST%"]
+};
+
+// Built-in profile for the standard layout, used alongside any stored profiles
+const DEFAULT_COLUMN_PROFILE = {
+    id: null,
+    name: "default",
+    sheetIndex: 0,
+    headerRow: null,
+    headerScanRows: null,
+    columns: Object.fromEntries(UPLOAD_COLUMNS.map(column => [column, [column, ...(DEFAULT_HEADER_ALIASES[column] ?? [])]]))
+};
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+// Requests without a key are PUBLIC; each role can do everything the ones before it can
+const ROLES = {
+    PUBLIC: "PUBLIC",
+    PHARMACIST: "PHARMACIST",
+    ADMIN: "ADMIN"
+};
+const ROLE_RANK = [ROLES.PUBLIC, ROLES.PHARMACIST, ROLES.ADMIN];
+
+// Roles a key can be issued for
+const KEY_ROLES = [ROLES.PHARMACIST, ROLES.ADMIN];
+
+// How often a key's lastUsedAt is refreshed
+const KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Raw key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function requestApiKey(req) {
+    const authorization = req.get("Authorization");
+    if (authorization?.startsWith("Bearer ")) return authorization.slice(7).trim();
+    return req.get("X-API-Key")?.trim() || null;
+}
+
+/**
+ * Resolve the request's API key into req.auth. Requests without a key are
+ * public; an unknown or revoked key is rejected rather than downgraded.
+ */
+async function authenticate(req, res, next) {
+    const key = requestApiKey(req);
+    if (!key) {
+        req.auth = { role: ROLES.PUBLIC, apiKey: null };
+        return next();
+    }
+
+    try {
+        const apiKey = await prisma.apiKey.findUnique({
+            where: { keyHash: hashApiKey(key) }
+        });
+
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(401).json({ error: "Invalid API key" });
+        }
+
+        if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > KEY_TOUCH_INTERVAL_MS) {
+            prisma.apiKey.update({
+                where: { id: apiKey.id },
+                data: { lastUsedAt: new Date() }
+            }).catch(error => console.error(error));
+        }
+
+        req.auth = { role: apiKey.role, apiKey };
+        next();
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Reject requests whose role is below `role`
+ */
+function requireRole(role) {
+    const middleware = (req, res, next) => {
+        if (ROLE_RANK.indexOf(req.auth.role) >= ROLE_RANK.indexOf(role)) return next();
+
+        if (!req.auth.apiKey) {
+            return res.status(401).json({
+                error: "Authentication required",
+                message: "Send an API key as 'Authorization: Bearer <key>' or 'X-API-Key: <key>'"
+            });
+        }
+
+        res.status(403).json({ error: `This route requires the ${role} role` });
+    };
+
+    // Read by route() to document who can call it
+    middleware.role = role;
+    return middleware;
+}
+
+/**
+ * Record the request in the audit log once the response is sent. Handlers can
+ * set res.locals.auditTargetId for records they create and res.locals.auditDetails
+ * for anything worth keeping beyond the path and query.
+ */
+function audit(action) {
+    return (req, res, next) => {
+        res.on("finish", () => {
+            const details = {
+                ip: req.ip,
+                ...(Object.keys(req.query).length > 0 && { query: req.query }),
+                ...(req.file && { file: req.file.originalname }),
+                ...res.locals.auditDetails
+            };
+
+            prisma.auditLog.create({
+                data: {
+                    apiKeyId: req.auth.apiKey?.id ?? null,
+                    action,
+                    method: req.method,
+                    path: req.path,
+                    statusCode: res.statusCode,
+                    targetId: res.locals.auditTargetId ?? req.params.id ?? req.params.previewId ?? null,
+                    details
+                }
+            }).catch(error => console.error(error));
+        });
+
+        next();
+    };
+}
+
+app.use(authenticate);
+
+// ============================================================================
+// API SCHEMAS AND VALIDATION
+// ============================================================================
+
+// Every route is also served under this prefix. Unversioned paths keep their
+// original response shapes; /v1 is where shapes are made consistent.
+const API_V1 = "/v1";
+
+// Set VALIDATE_RESPONSES=true to log /v1 responses that do not match their schema
+const VALIDATE_RESPONSES = process.env.VALIDATE_RESPONSES === "true";
+
+// Schema shorthands for the specs below
+const STRING = { type: "string" };
+const INTEGER = { type: "integer" };
+const NUMBER = { type: "number" };
+const BOOLEAN = { type: "boolean" };
+const DATE_TIME = { type: "string", format: "date-time" };
+const ANY_OBJECT = { type: "object" };
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function nullable(schema) {
+    if (!schema.type) return { anyOf: [schema, { type: "null" }] };
+    return { ...schema, type: [].concat(schema.type, "null"), ...(schema.enum && { enum: [...schema.enum, null] }) };
+}
+
+function arrayOf(items, extra = {}) {
+    return { type: "array", items, ...extra };
+}
+
+function object(properties, required = [], extra = {}) {
+    return { type: "object", properties, ...(required.length > 0 && { required }), ...extra };
+}
+
+/**
+ * String enum accepted in upper or lower case, for values handlers upper-case
+ */
+function anyCaseEnum(values) {
+    return { type: "string", enum: [...values, ...values.map(v => v.toLowerCase())] };
+}
+
+/**
+ * Path prefix the request came in on - "/v1" or ""
+ */
+function apiPrefix(req) {
+    return req.path.startsWith(`${API_V1}/`) ? API_V1 : "";
+}
+
+/**
+ * Query schema for limit/offset paging; limits above `max` are capped, not rejected
+ */
+function pageQuery(max, properties = {}) {
+    return object({
+        limit: { type: "integer", minimum: 1, description: `Page size, capped at ${max}` },
+        offset: { type: "integer", minimum: 0 },
+        ...properties
+    });
+}
+
+const ID_PARAMS = object({ id: STRING }, ["id"]);
+const SUCCESS = object({ success: BOOLEAN, message: STRING }, ["success"]);
+
+// Reusable schemas, published under components.schemas
+const API_SCHEMAS = {
+    Error: object({
+        error: STRING,
+        code: { type: "string", description: "Machine-readable error code, e.g. VALIDATION_FAILED or NOT_FOUND" },
+        message: STRING,
+        details: arrayOf(object({ in: STRING, path: STRING, message: STRING }))
+    }, ["error", "code"]),
+
+    Medicine: object({
+        id: STRING,
+        name: STRING,
+        salt: nullable(STRING),
+        contents: nullable(STRING),
+        type: nullable(STRING),
+        packing: nullable(STRING),
+        ptr: nullable(NUMBER),
+        mrp: nullable(NUMBER),
+        unitPrice: nullable({ type: "number", description: "PTR per pack unit (tablet, ml, ...)" }),
+        shipperSize: nullable(INTEGER),
+        manufacturer: nullable(STRING),
+        schedule: nullable({ type: "string", enum: SCHEDULES, description: "Prescription schedule; OTC when none applies" }),
+        hsnCode: nullable(STRING),
+        gstRate: nullable({ type: "number", description: "GST rate in percent" }),
+        deletedAt: nullable(DATE_TIME)
+    }, ["id", "name"]),
+
+    Component: object({
+        ingredient: STRING,
+        strength: nullable(NUMBER),
+        unit: nullable(STRING),
+        alias: { type: "string", description: "Spelling found in the contents when an alias was applied" }
+    }, ["ingredient"]),
+
+    MedicineInput: object({
+        name: { type: "string", minLength: 1 },
+        contents: nullable(STRING),
+        packing: nullable(STRING),
+        ptr: nullable({ type: ["number", "string"] }),
+        mrp: nullable({ type: ["number", "string"] }),
+        shipperSize: nullable({ type: ["integer", "string"] }),
+        manufacturer: nullable(STRING),
+        schedule: nullable({ type: "string", description: 'e.g. "H1", "Schedule H" or "OTC"' }),
+        hsnCode: nullable({ type: ["string", "integer"], description: "4, 6 or 8 digits" }),
+        gstRate: nullable({ type: ["number", "string"], description: 'Percent, e.g. 12 or "12%"' })
+    }, [], { additionalProperties: false }),
+
+    Match: object({
+        stage: { type: "string", enum: ["exact", "contains", "fuzzy"] },
+        confidence: { type: "number", minimum: 0, maximum: 1 }
+    }, ["stage", "confidence"]),
+
+    UploadRows: {
+        description: "an array of rows keyed by upload column, or { rows: [...] }",
+        anyOf: [
+            arrayOf(ANY_OBJECT),
+            object({ rows: arrayOf(ANY_OBJECT), profileId: STRING, uploadedBy: STRING }, ["rows"])
+        ]
+    },
+
+    UploadForm: object({
+        file: { type: "string", format: "binary", description: "XLSX workbook, or CSV/TSV file" },
+        profileId: { type: "string", description: "Column profile to read the sheet with; detected when omitted" },
+        sheet: { type: "string", description: "Workbook sheet name; all matching sheets are read when omitted" },
+        uploadedBy: STRING
+    }),
+
+    PreviewRow: object({
+        row: nullable(INTEGER),
+        sheet: nullable(STRING),
+        name: nullable(STRING),
+        action: { type: "string", enum: ["create", "update", "unchanged", "skip"] },
+        errors: arrayOf(STRING),
+        warnings: arrayOf(STRING),
+        changes: nullable(ANY_OBJECT),
+        current: nullable(ANY_OBJECT),
+        data: nullable(ANY_OBJECT)
+    }, ["action", "errors", "warnings"]),
+
+    ImportResult: object({
+        success: BOOLEAN,
+        message: STRING,
+        jobId: STRING,
+        columnProfile: nullable(STRING),
+        stats: object({ created: INTEGER, updated: INTEGER, skipped: INTEGER, total: INTEGER }),
+        errors: arrayOf(ANY_OBJECT)
+    }, ["success", "jobId", "stats"]),
+
+    ImportJob: object({
+        id: STRING,
+        kind: { type: "string", enum: ["generic", "branded"] },
+        status: { type: "string", enum: ["PENDING", "RUNNING", "COMPLETED", "FAILED"] },
+        sourceFile: nullable(STRING),
+        uploadedBy: nullable(STRING),
+        columnProfile: nullable(STRING),
+        totalRows: INTEGER,
+        processedRows: INTEGER,
+        progress: { type: "integer", minimum: 0, maximum: 100 },
+        createdRows: INTEGER,
+        updatedRows: INTEGER,
+        skippedRows: INTEGER,
+        errors: arrayOf(ANY_OBJECT),
+        failureReason: nullable(STRING),
+        createdAt: DATE_TIME,
+        startedAt: nullable(DATE_TIME),
+        finishedAt: nullable(DATE_TIME)
+    }, ["id", "kind", "status"]),
+
+    ColumnProfile: object({
+        id: nullable(STRING),
+        name: STRING,
+        sheetIndex: INTEGER,
+        headerRow: nullable(INTEGER),
+        headerScanRows: nullable(INTEGER),
+        columns: { type: "object", additionalProperties: arrayOf(STRING), description: "Upload column -> accepted source headers" }
+    }, ["name", "columns"]),
+
+    ColumnProfileInput: object({
+        name: { type: "string", minLength: 1 },
+        columns: { type: "object", additionalProperties: { anyOf: [STRING, arrayOf(STRING)] } },
+        sheetIndex: { type: "integer", minimum: 0 },
+        headerRow: nullable({ type: "integer", minimum: 1 }),
+        headerScanRows: nullable({ type: "integer", minimum: 1 })
+    }),
+
+    PriceChange: object({ from: nullable(NUMBER), to: nullable(NUMBER) }),
+
+    Mapping: object({
+        id: STRING,
+        branded: object({ id: STRING, name: STRING }),
+        generic: object({ id: STRING, name: STRING }),
+        preferred: BOOLEAN,
+        note: nullable(STRING),
+        createdAt: DATE_TIME,
+        updatedAt: DATE_TIME
+    }, ["id", "branded", "generic", "preferred"]),
+
+    Interaction: object({
+        id: STRING,
+        ingredients: arrayOf(STRING, { minItems: 2, maxItems: 2 }),
+        severity: { type: "string", enum: INTERACTION_SEVERITIES },
+        description: nullable(STRING),
+        createdAt: DATE_TIME,
+        updatedAt: DATE_TIME
+    }, ["id", "ingredients", "severity"]),
+
+    SaltAlias: object({
+        id: STRING,
+        alias: STRING,
+        canonical: STRING,
+        note: nullable(STRING),
+        createdAt: DATE_TIME,
+        updatedAt: DATE_TIME
+    }, ["id", "alias", "canonical"]),
+
+    Store: object({
+        id: STRING,
+        code: STRING,
+        name: STRING,
+        address: nullable(STRING),
+        createdAt: DATE_TIME,
+        updatedAt: DATE_TIME
+    }, ["id", "code", "name"]),
+
+    StoreRef: object({ id: STRING, code: STRING, name: STRING }, ["id", "code", "name"]),
+
+    Reorder: nullable(object({
+        quantity: nullable({ type: "integer", description: "Units to order, in whole shippers when the shipper size is known" }),
+        shippers: nullable(INTEGER),
+        reorderPoint: { type: "integer", description: "Reorder level, or one shipper when none is set" }
+    }, ["quantity", "shippers", "reorderPoint"])),
+
+    Availability: object({
+        inStock: BOOLEAN,
+        quantity: nullable({ type: "integer", description: "Units on hand; null when the store does not track this generic" }),
+        reorder: ref("Reorder")
+    }, ["inStock", "quantity", "reorder"]),
+
+    StockLevel: object({
+        genericId: STRING,
+        name: STRING,
+        packing: nullable(STRING),
+        shipperSize: nullable(INTEGER),
+        quantity: INTEGER,
+        reorderLevel: nullable(INTEGER),
+        inStock: BOOLEAN,
+        reorder: ref("Reorder"),
+        updatedAt: DATE_TIME
+    }, ["genericId", "name", "quantity", "inStock"]),
+
+    Webhook: object({
+        id: STRING,
+        url: STRING,
+        events: arrayOf(STRING),
+        active: BOOLEAN,
+        priceChangeThreshold: nullable({ type: "number", description: "Minimum PTR/MRP change in percent; any change when null" }),
+        description: nullable(STRING),
+        createdAt: DATE_TIME,
+        updatedAt: DATE_TIME,
+        secret: { type: "string", description: "Signing secret, only returned on create and rotation" }
+    }, ["id", "url", "events", "active"]),
+
+    WebhookDelivery: object({
+        id: STRING,
+        webhookId: STRING,
+        event: STRING,
+        payload: ANY_OBJECT,
+        status: { type: "string", enum: ["PENDING", "SUCCEEDED", "FAILED"] },
+        attempts: INTEGER,
+        lastStatusCode: nullable(INTEGER),
+        lastError: nullable(STRING),
+        lastAttemptAt: nullable(DATE_TIME),
+        nextAttemptAt: nullable(DATE_TIME),
+        deliveredAt: nullable(DATE_TIME),
+        createdAt: DATE_TIME
+    }, ["id", "webhookId", "event", "status", "attempts"]),
+
+    ApiKey: object({
+        id: STRING,
+        name: STRING,
+        role: { type: "string", enum: ["PHARMACIST", "ADMIN"] },
+        prefix: STRING,
+        createdAt: DATE_TIME,
+        lastUsedAt: nullable(DATE_TIME),
+        revokedAt: nullable(DATE_TIME),
+        key: { type: "string", description: "The raw key, only returned when it is issued" }
+    }, ["id", "name", "role", "prefix"]),
+
+    AuditEntry: object({
+        id: STRING,
+        apiKeyId: nullable(STRING),
+        apiKey: nullable(object({ id: STRING, name: STRING, role: STRING })),
+        action: STRING,
+        method: STRING,
+        path: STRING,
+        statusCode: INTEGER,
+        targetId: nullable(STRING),
+        details: nullable(ANY_OBJECT),
+        createdAt: DATE_TIME
+    }, ["id", "action", "method", "path", "statusCode"])
+};
+
+const apiRegistry = createApiRegistry({ errorSchema: ref("Error") });
+
+/**
+ * Check path parameters, query and body against a route spec and answer 400
+ * with every problem found. Query, path and multipart values are strings, so
+ * they are coerced before checking; handlers still read the raw values.
+ */
+function validateRequest(spec) {
+    return (req, res, next) => {
+        const details = [];
+
+        const check = (location, schema, value, coerce) => {
+            if (!schema) return;
+            const { errors } = validate(schema, value, { components: API_SCHEMAS, coerce });
+            details.push(...errors.map(error => ({ in: location, ...error })));
+        };
+
+        check("path", spec.params, req.params, true);
+        check("query", spec.query, req.query, true);
+
+        if (req.is("multipart/form-data")) {
+            check("body", spec.form, req.body ?? {}, true);
+        } else if (spec.body && !(spec.bodyOptional && req.body === undefined)) {
+            check("body", spec.body, req.body, false);
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                error: "Invalid request",
+                code: "VALIDATION_FAILED",
+                message: details.map(d => `${d.in} ${d.path} ${d.message}`).join("; "),
+                details
+            });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Reshape successful responses for the unversioned path
+ */
+function legacyResponse(transform) {
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = body => json(res.statusCode < 300 ? transform(body) : body);
+        next();
+    };
+}
+
+/**
+ * Log responses that do not match the spec - enabled with VALIDATE_RESPONSES
+ */
+function checkResponse(method, path, spec) {
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+
+        res.json = body => {
+            const schema = spec.responses?.[res.statusCode]?.schema;
+
+            if (schema) {
+                const { errors } = validate(schema, JSON.parse(JSON.stringify(body)), { components: API_SCHEMAS });
+                if (errors.length > 0) {
+                    console.warn(`⚠️  ${method.toUpperCase()} ${path} ${res.statusCode} does not match its schema:`, errors);
+                }
+            }
+            return json(body);
+        };
+
+        next();
+    };
+}
+
+/**
+ * Register a route under its unversioned path and under /v1 and record it for
+ * the OpenAPI document. The last handler is the route itself; the ones before
+ * it (role, audit, upload parsing, caching) run before the request is
+ * validated. `spec.legacy` reshapes responses on the unversioned path.
+ */
+function route(method, path, spec, ...handlers) {
+    const handler = handlers.pop();
+    const role = handlers.find(h => h.role)?.role ?? null;
+    const validator = validateRequest(spec);
+    const responseCheck = VALIDATE_RESPONSES ? [checkResponse(method, `${API_V1}${path}`, spec)] : [];
+
+    app[method](path, ...handlers, validator, ...(spec.legacy ? [legacyResponse(spec.legacy)] : []), handler);
+    app[method](`${API_V1}${path}`, ...responseCheck, ...handlers, validator, handler);
+
+    apiRegistry.add({ method, path: `${API_V1}${path}`, spec, role });
+}
+
+// ============================================================================
+// UPLOAD HELPERS
+// ============================================================================
+
+/**
+ * Catalogue tables the upload routes can write to
+ */
+const CATALOGUES = {
+    generic: { kind: "generic", model: "genericMedicine", nameField: "genericName", relationField: "genericId", label: "Generic" },
+    branded: { kind: "branded", model: "brandedMedicine", nameField: "brandedName", relationField: "brandedId", label: "Branded" }
+};
+
+/**
+ * Fields an upload row can set on a medicine record
+ */
+const MEDICINE_FIELDS = [
+    "salt", "compositionKey", "ingredientKey", "contents", "type", "packing", "ptr", "mrp", "shipperSize",
+    "manufacturer", "schedule", "hsnCode", "gstRate"
+];
+
+// Previews are kept in memory until committed or expired
+const PREVIEW_TTL_MS = 30 * 60 * 1000;
+const uploadPreviews = new Map();
+
+// Rows written per batch, and how long one import transaction may run
+const IMPORT_BATCH_SIZE = 500;
+const IMPORT_TX_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Parse a numeric cell - null when empty, NaN when not a number
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null) return null;
+    const str = String(value).trim();
+    if (str === "") return null;
+    return Number(str.replace(/,/g, ""));
+}
+
+/**
+ * Turn a spreadsheet row into medicine fields plus validation issues
+ */
+function parseUploadRow(row) {
+    const name = String(row["PRODUCT NAME"] ?? "").trim();
+    const rawContents = row["CONTENTS"];
+    const contents = cleanContents(rawContents);
+    const components = parseContents(rawContents);
+    const salt = saltFromComposition(components);
+    const packing = row["PACKING"] !== undefined && row["PACKING"] !== null
+        ? String(row["PACKING"]).trim() || null
+        : null;
+    const ptr = parseNumber(row["PTR"]);
+    const mrp = parseNumber(row["MRP"]);
+    const shipperSize = parseNumber(row["SHIPPER SIZE"]);
+
+    const errors = [];
+    const warnings = [];
+
+    if (Number.isNaN(ptr)) errors.push(`PTR "${row["PTR"]}" is not a number`);
+    if (Number.isNaN(mrp)) errors.push(`MRP "${row["MRP"]}" is not a number`);
+    if (Number.isNaN(shipperSize)) errors.push(`SHIPPER SIZE "${row["SHIPPER SIZE"]}" is not a number`);
+    if (ptr !== null && mrp !== null && mrp < ptr) errors.push(`MRP ${mrp} is lower than PTR ${ptr}`);
+
+    if (!contents) warnings.push("CONTENTS is missing");
+    else if (!salt) warnings.push(`Could not extract salt from CONTENTS "${contents}"`);
+
+    return {
+        name,
+        data: {
+            salt,
+            compositionKey: compositionKey(components),
+            ingredientKey: ingredientKey(components),
+            contents,
+            type: detectType(name),
+            packing,
+            ptr,
+            mrp,
+            shipperSize: shipperSize === null || Number.isNaN(shipperSize) ? shipperSize : Math.trunc(shipperSize),
+            ...parseRegulatoryColumns(row, errors, warnings)
+        },
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Manufacturer, schedule, HSN code and GST rate from whichever of these columns
+ * the row has. A sheet without one of them keeps the stored values instead of
+ * clearing them. Unreadable values are added to `errors`.
+ */
+function parseRegulatoryColumns(row, errors, warnings) {
+    const present = column => row[column] !== undefined;
+    const data = {};
+
+    if (present("MANUFACTURER")) {
+        data.manufacturer = String(row["MANUFACTURER"] ?? "").replace(/\s+/g, " ").trim() || null;
+    }
+
+    if (present("SCHEDULE")) {
+        data.schedule = parseSchedule(row["SCHEDULE"]);
+        if (data.schedule === undefined) {
+            errors.push(`SCHEDULE "${row["SCHEDULE"]}" is not one of: ${SCHEDULES.join(", ")}`);
+            data.schedule = null;
+        }
+    }
+
+    if (present("HSN CODE")) {
+        data.hsnCode = parseHsnCode(row["HSN CODE"]);
+        if (data.hsnCode === undefined) {
+            errors.push(`HSN CODE "${row["HSN CODE"]}" is not a 4, 6 or 8 digit code`);
+            data.hsnCode = null;
+        } else if (data.hsnCode && !data.hsnCode.startsWith("30")) {
+            warnings.push(`HSN CODE ${data.hsnCode} is outside chapter 30 (pharmaceutical products)`);
+        }
+    }
+
+    if (present("GST RATE")) {
+        data.gstRate = parseGstRate(row["GST RATE"]);
+        if (Number.isNaN(data.gstRate)) {
+            errors.push(`GST RATE "${row["GST RATE"]}" is not a percentage`);
+        } else if (data.gstRate !== null && !GST_RATES.includes(data.gstRate)) {
+            warnings.push(`GST RATE ${data.gstRate}% is not a standard slab (${GST_RATES.join(", ")})`);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Pick the upload-managed fields from a database record
+ */
+function pickMedicineFields(record) {
+    const picked = {};
+    for (const field of MEDICINE_FIELDS) picked[field] = record[field] ?? null;
+    return picked;
+}
+
+/**
+ * Field-by-field differences between a stored record and new values. Fields
+ * missing from `next` (optional columns the sheet lacks) are left alone.
+ */
+function diffMedicine(current, next) {
+    const changes = {};
+    for (const field of MEDICINE_FIELDS) {
+        if (!(field in next)) continue;
+
+        const from = current[field] ?? null;
+        const to = next[field] ?? null;
+        if (from !== to) changes[field] = { from, to };
+    }
+    return changes;
+}
+
+/**
+ * Validate uploaded rows and diff them against the catalogue without writing
+ */
+async function buildUploadPreview(catalogue, rows) {
+    const parsed = rows.map(row => ({ rowNumber: row[ROW_NUMBER], sheet: row[SHEET_NAME], ...parseUploadRow(row) }));
+    const names = [...new Set(parsed.map(p => p.name))];
+
+    const existing = await prisma[catalogue.model].findMany({
+        where: { [catalogue.nameField]: { in: names } }
+    });
+    const existingByName = new Map(existing.map(r => [r[catalogue.nameField], r]));
+
+    const firstSeen = new Map();
+
+    return parsed.map(p => {
+        if (firstSeen.has(p.name)) {
+            p.errors.push(`Duplicate PRODUCT NAME (first seen on row ${firstSeen.get(p.name)})`);
+        } else {
+            firstSeen.set(p.name, p.sheet ? `${p.rowNumber} of sheet "${p.sheet}"` : p.rowNumber);
+        }
+
+        const current = existingByName.get(p.name);
+        let action;
+        let changes = null;
+
+        if (p.errors.length > 0) {
+            action = "skip";
+        } else if (!current) {
+            action = "create";
+        } else {
+            changes = diffMedicine(current, p.data);
+
+            // Re-uploading a deleted medicine restores it
+            if (current.deletedAt) changes.deletedAt = { from: current.deletedAt, to: null };
+
+            action = Object.keys(changes).length > 0 ? "update" : "unchanged";
+        }
+
+        return {
+            row: p.rowNumber,
+            sheet: p.sheet ?? null,
+            name: p.name,
+            action,
+            errors: p.errors,
+            warnings: p.warnings,
+            changes,
+            current: current ? pickMedicineFields(current) : null,
+            data: p.data
+        };
+    });
+}
+
+/**
+ * Count preview rows per action
+ */
+function summarizePreview(rows) {
+    const summary = { create: 0, update: 0, unchanged: 0, skip: 0, warnings: 0, total: rows.length };
+    for (const row of rows) {
+        summary[row.action]++;
+        if (row.warnings.length > 0) summary.warnings++;
+    }
+    return summary;
+}
+
+/**
+ * Price history row for a medicine whose PTR/MRP went from `before` to `after`
+ */
+function priceHistoryEntry(catalogue, medicineId, before, after, importJobId) {
+    return {
+        [catalogue.relationField]: medicineId,
+        importJobId: importJobId ?? null,
+        ptrFrom: before.ptr ?? null,
+        ptrTo: after.ptr ?? null,
+        mrpFrom: before.mrp ?? null,
+        mrpTo: after.mrp ?? null
+    };
+}
+
+/**
+ * CompositionComponent rows for a medicine's contents
+ */
+function componentRecords(catalogue, medicineId, contents) {
+    return parseContents(contents).map((c, position) => ({
+        [catalogue.relationField]: medicineId,
+        ...c,
+        position
+    }));
+}
+
+/**
+ * Write previewed creates/updates in batches inside one transaction, skipping
+ * rows whose record changed since the preview. Either every batch is applied
+ * or none is. Price changes are recorded in PriceHistory against the import.
+ */
+async function applyUploadRows(catalogue, rows, { importJobId, onProgress } = {}) {
+    const pending = rows.filter(r => r.action === "create" || r.action === "update");
+    const stats = { created: 0, updated: 0, skipped: rows.length - pending.length, conflicts: 0 };
+    const conflicts = [];
+    const touchedRecords = [];
+    const changes = { created: [], priceChanges: [] };
+    let membershipChanged = false;
+
+    await prisma.$transaction(async (tx) => {
+        const model = tx[catalogue.model];
+
+        const currentRecords = await model.findMany({
+            where: { [catalogue.nameField]: { in: pending.map(r => r.name) } }
+        });
+        const currentByName = new Map(currentRecords.map(r => [r[catalogue.nameField], r]));
+
+        const writable = pending.filter(row => {
+            const current = currentByName.get(row.name);
+            const stale = row.action === "create"
+                ? current !== undefined
+                : !current || Object.keys(diffMedicine(current, row.current)).length > 0;
+
+            if (stale) {
+                stats.conflicts++;
+                conflicts.push({ row: row.row, sheet: row.sheet, name: row.name, reason: "Record changed since preview" });
+            }
+            return !stale;
+        });
+
+        for (let i = 0; i < writable.length; i += IMPORT_BATCH_SIZE) {
+            const batch = writable.slice(i, i + IMPORT_BATCH_SIZE);
+            const creates = batch.filter(r => r.action === "create");
+            const updates = batch.filter(r => r.action === "update");
+
+            const priceChanges = [];
+
+            if (creates.length > 0) {
+                const created = await model.createManyAndReturn({
+                    data: creates.map(r => ({ [catalogue.nameField]: r.name, ...r.data })),
+                    select: { id: true, [catalogue.nameField]: true, salt: true, type: true, contents: true, ptr: true, mrp: true }
+                });
+                touchedRecords.push(...created);
+                changes.created.push(...created.map(record => medicineEvent(catalogue, record)));
+
+                for (const record of created) {
+                    if (record.ptr !== null || record.mrp !== null) {
+                        priceChanges.push(priceHistoryEntry(catalogue, record.id, {}, record, importJobId));
+                    }
+                }
+
+                await tx.compositionComponent.createMany({
+                    data: created.flatMap(record => componentRecords(catalogue, record.id, record.contents))
+                });
+            }
+
+            // Only the previewed changes are written, not the whole row
+            const updated = await Promise.all(updates.map(r => {
+                const data = Object.fromEntries(Object.entries(r.changes).map(([field, { to }]) => [field, to]));
+
+                if (r.changes.contents) {
+                    data.components = {
+                        deleteMany: {},
+                        create: parseContents(r.data.contents).map((c, position) => ({ ...c, position }))
+                    };
+                }
+
+                return model.update({
+                    where: { [catalogue.nameField]: r.name },
+                    data
+                });
+            }));
+
+            touchedRecords.push(...updated);
+
+            updates.forEach((row, idx) => {
+                if (row.changes.ptr || row.changes.mrp) {
+                    priceChanges.push(priceHistoryEntry(catalogue, updated[idx].id, row.current, updated[idx], importJobId));
+                }
+
+                // A restored medicine is announced as added, not as repriced
+                if (row.changes.deletedAt) {
+                    changes.created.push(medicineEvent(catalogue, updated[idx]));
+                } else if (row.changes.ptr || row.changes.mrp) {
+                    changes.priceChanges.push(priceChangeEvent(catalogue, row.current, updated[idx]));
+                }
+            });
+
+            if (priceChanges.length > 0) {
+                await tx.priceHistory.createMany({ data: priceChanges });
+            }
+
+            stats.created += creates.length;
+            stats.updated += updates.length;
+            membershipChanged ||= creates.length > 0 || updates.some(r => changesSearchMembership(r.changes));
+
+            if (onProgress) {
+                await onProgress(stats.skipped + stats.conflicts + i + batch.length);
+            }
+        }
+    }, { timeout: IMPORT_TX_TIMEOUT_MS });
+
+    await indexMedicines(catalogue, touchedRecords, { membership: membershipChanged });
+    notifyCatalogueChanges(catalogue, changes, { importJobId: importJobId ?? null });
+
+    return { stats, conflicts };
+}
+
+/**
+ * Rows sent as JSON instead of a file - a bare array or { rows: [...] }
+ */
+function jsonUploadRows(body) {
+    if (Array.isArray(body)) return body;
+    if (Array.isArray(body?.rows)) return body.rows;
+    return null;
+}
+
+/**
+ * Read an upload - XLSX workbook, CSV/TSV file or JSON rows - with the
+ * requested column profile (profileId field or query param), or with
+ * whichever profile fits it best. Returns null when the requested profile
+ * does not exist.
+ */
+async function readUploadSheet(req) {
+    const profileId = req.body?.profileId || req.query.profileId;
+    let profiles;
+
+    if (profileId) {
+        const profile = await prisma.columnProfile.findUnique({ where: { id: String(profileId) } });
+        if (!profile) return null;
+        profiles = [profile];
+    } else {
+        const stored = await prisma.columnProfile.findMany({ orderBy: { createdAt: "asc" } });
+        profiles = [DEFAULT_COLUMN_PROFILE, ...stored];
+    }
+
+    return readSheet(req, profiles);
+}
+
+/**
+ * Read the uploaded file or JSON rows of a request with the best-fitting of `profiles`
+ */
+function readSheet(req, profiles) {
+    if (!req.file) {
+        return readJsonRows(jsonUploadRows(req.body), profiles);
+    }
+
+    const extension = path.extname(req.file.originalname ?? "").toLowerCase();
+    if (DELIMITED_EXTENSIONS.includes(extension) || req.file.mimetype === "text/csv") {
+        return readDelimitedFile(req.file.path, req.file.originalname, profiles);
+    }
+
+    return readExcelSmart(req.file.path, profiles, { sheet: req.body?.sheet ?? req.query.sheet });
+}
+
+/**
+ * Drop previews older than PREVIEW_TTL_MS
+ */
+function pruneUploadPreviews() {
+    const cutoff = Date.now() - PREVIEW_TTL_MS;
+    for (const [id, preview] of uploadPreviews) {
+        if (preview.createdAt < cutoff) uploadPreviews.delete(id);
+    }
+}
+
+/**
+ * Import job lifecycle states
+ */
+const IMPORT_STATUS = {
+    PENDING: "PENDING",
+    RUNNING: "RUNNING",
+    COMPLETED: "COMPLETED",
+    FAILED: "FAILED"
+};
+
+/**
+ * Source file and uploader recorded on an import job
+ */
+function importSource(req) {
+    return {
+        sourceFile: req.file ? req.file.originalname : "JSON feed",
+        uploadedBy: req.get("X-Uploaded-By") || req.body?.uploadedBy || req.auth?.apiKey?.name || null
+    };
+}
+
+/**
+ * Per-row validation errors in the shape stored on import jobs
+ */
+function collectRowErrors(rows) {
+    return rows
+        .filter(r => r.errors.length > 0)
+        .map(r => ({ row: r.row, sheet: r.sheet, name: r.name, errors: r.errors }));
+}
+
+/**
+ * Create a pending import job for previewed rows
+ */
+async function createImportJob(catalogue, rows, { sourceFile, uploadedBy, columnProfile }) {
+    return prisma.importJob.create({
+        data: {
+            kind: catalogue.kind,
+            sourceFile,
+            uploadedBy,
+            columnProfile,
+            totalRows: rows.length
+        }
+    });
+}
+
+/**
+ * Apply previewed rows for a job, tracking progress and the final outcome,
+ * then announce it to webhooks. Never throws for import failures - the job
+ * is marked FAILED instead.
+ */
+async function runImportJob(job, catalogue, rows) {
+    const finished = await applyImportJob(job, catalogue, rows);
+
+    emitWebhookEvent(WEBHOOK_EVENTS.IMPORT_FINISHED, formatImportJob(finished))
+        .catch(error => console.error(error));
+
+    return finished;
+}
+
+/**
+ * Run the import itself and record COMPLETED or FAILED on the job
+ */
+async function applyImportJob(job, catalogue, rows) {
+    await prisma.importJob.update({
+        where: { id: job.id },
+        data: { status: IMPORT_STATUS.RUNNING, startedAt: new Date() }
+    });
+
+    try {
+        const { stats, conflicts } = await applyUploadRows(catalogue, rows, {
+            importJobId: job.id,
+            onProgress: processedRows =>
+                prisma.importJob.update({ where: { id: job.id }, data: { processedRows } })
+        });
+
+        return await prisma.importJob.update({
+            where: { id: job.id },
+            data: {
+                status: IMPORT_STATUS.COMPLETED,
+                processedRows: rows.length,
+                createdRows: stats.created,
+                updatedRows: stats.updated,
+                skippedRows: stats.skipped + stats.conflicts,
+                errors: [
+                    ...collectRowErrors(rows),
+                    ...conflicts.map(c => ({ row: c.row, sheet: c.sheet, name: c.name, errors: [c.reason] }))
+                ],
+                finishedAt: new Date()
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        return prisma.importJob.update({
+            where: { id: job.id },
+            data: {
+                status: IMPORT_STATUS.FAILED,
+                failureReason: error.message,
+                finishedAt: new Date()
+            }
+        });
+    }
+}
+
+/**
+ * Shape an import job for API responses
+ */
+function formatImportJob(job) {
+    return {
+        id: job.id,
+        kind: job.kind,
+        status: job.status,
+        sourceFile: job.sourceFile,
+        uploadedBy: job.uploadedBy,
+        columnProfile: job.columnProfile,
+        totalRows: job.totalRows,
+        processedRows: job.processedRows,
+        progress: job.totalRows > 0 ? Math.round(job.processedRows / job.totalRows * 100) : 100,
+        createdRows: job.createdRows,
+        updatedRows: job.updatedRows,
+        skippedRows: job.skippedRows,
+        errors: job.errors ?? [],
+        failureReason: job.failureReason,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+/**
+ * Response body for an import that ran to completion (or failed) in-request
+ */
+function importResult(res, catalogue, job, verb) {
+    if (job.status === IMPORT_STATUS.FAILED) {
+        return res.status(500).json({
+            error: job.failureReason,
+            message: "Import rolled back, no rows were written",
+            jobId: job.id
+        });
+    }
+
+    res.json({ 
+        success: true, 
+        message: `${catalogue.label} medicines ${verb} successfully`,
+        jobId: job.id,
+        columnProfile: job.columnProfile,
+        stats: {
+            created: job.createdRows,
+            updated: job.updatedRows,
+            skipped: job.skippedRows,
+            total: job.createdRows + job.updatedRows
+        },
+        errors: job.errors ?? []
+    });
+}
+
+// ============================================================================
+// UPLOAD ENDPOINTS
+// ============================================================================
+
+/**
+ * Upload a sheet and write every valid row straight away, in one transaction
+ */
+function uploadHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            if (!req.file && !jsonUploadRows(req.body)) {
+                return res.status(400).json({ 
+                    error: "No file uploaded",
+                    message: "Please upload a file with field name 'file' or send a JSON array of rows"
+                });
+            }
+
+            const sheet = await readUploadSheet(req);
+            if (!sheet) {
+                return res.status(404).json({ error: "Column profile not found" });
+            }
+
+            const rows = await buildUploadPreview(catalogue, sheet.rows);
+            const job = await createImportJob(catalogue, rows, { ...importSource(req), columnProfile: sheet.profile.name });
+            res.locals.auditTargetId = job.id;
+
+            importResult(res, catalogue, await runImportJob(job, catalogue, rows), "uploaded");
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+/**
+ * Validate a sheet and return the per-row diff without writing anything
+ */
+function previewHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            if (!req.file && !jsonUploadRows(req.body)) {
+                return res.status(400).json({ 
+                    error: "No file uploaded",
+                    message: "Please upload a file with field name 'file' or send a JSON array of rows"
+                });
+            }
+
+            const sheet = await readUploadSheet(req);
+            if (!sheet) {
+                return res.status(404).json({ error: "Column profile not found" });
+            }
+
+            const rows = await buildUploadPreview(catalogue, sheet.rows);
+
+            pruneUploadPreviews();
+            const previewId = randomUUID();
+            uploadPreviews.set(previewId, {
+                kind: catalogue.kind,
+                fileName: importSource(req).sourceFile,
+                columnProfile: sheet.profile.name,
+                createdAt: Date.now(),
+                rows
+            });
+
+            res.json({
+                previewId,
+                profile: { id: sheet.profile.id, name: sheet.profile.name },
+                sheets: sheet.sheets,
+                expiresAt: new Date(Date.now() + PREVIEW_TTL_MS).toISOString(),
+                summary: summarizePreview(rows),
+                rows
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+/**
+ * Apply exactly the changes of an earlier preview
+ */
+function commitHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            pruneUploadPreviews();
+            const preview = uploadPreviews.get(req.params.previewId);
+
+            if (!preview || preview.kind !== catalogue.kind) {
+                return res.status(404).json({ 
+                    error: "Preview not found",
+                    message: "The preview does not exist or has expired, please upload the file again"
+                });
+            }
+
+            // A preview can only be committed once
+            uploadPreviews.delete(req.params.previewId);
+
+            const job = await createImportJob(catalogue, preview.rows, {
+                sourceFile: preview.fileName,
+                uploadedBy: importSource(req).uploadedBy,
+                columnProfile: preview.columnProfile
+            });
+            res.locals.auditTargetId = job.id;
+            res.locals.auditDetails = { previewId: req.params.previewId };
+
+            importResult(res, catalogue, await runImportJob(job, catalogue, preview.rows), "committed");
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+/**
+ * Route spec for a route taking an upload sheet - a file or JSON rows
+ */
+function uploadSpec({ summary, responses, errors = [] }) {
+    return {
+        summary,
+        tags: ["Uploads"],
+        query: object({ profileId: STRING, sheet: STRING }),
+        form: ref("UploadForm"),
+        body: ref("UploadRows"),
+        bodyOptional: true,
+        responses,
+        errors: [404, ...errors]
+    };
+}
+
+function uploadRouteSpec(catalogue) {
+    return uploadSpec({
+        summary: `Upload ${catalogue.kind} medicines and write every valid row`,
+        responses: { 200: { description: "Import finished", schema: ref("ImportResult") } },
+        errors: [500]
+    });
+}
+
+function previewRouteSpec(catalogue) {
+    return uploadSpec({
+        summary: `Validate and diff a ${catalogue.kind} sheet without writing`,
+        responses: {
+            200: {
+                description: "Per-row diff, committable until expiresAt",
+                schema: object({
+                    previewId: STRING,
+                    profile: object({ id: nullable(STRING), name: STRING }),
+                    sheets: arrayOf(ANY_OBJECT),
+                    expiresAt: DATE_TIME,
+                    summary: object({
+                        create: INTEGER, update: INTEGER, unchanged: INTEGER, skip: INTEGER, warnings: INTEGER, total: INTEGER
+                    }),
+                    rows: arrayOf(ref("PreviewRow"))
+                }, ["previewId", "summary", "rows"])
+            }
+        }
+    });
+}
+
+function commitRouteSpec(catalogue) {
+    return {
+        summary: `Apply a previewed ${catalogue.kind} sheet`,
+        tags: ["Uploads"],
+        params: object({ previewId: STRING }, ["previewId"]),
+        responses: { 200: { description: "Import finished", schema: ref("ImportResult") } },
+        errors: [404, 500]
+    };
+}
+
+route("post", "/upload/generic", uploadRouteSpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), audit("upload.generic"), upload.single("file"), uploadHandler(CATALOGUES.generic));
+route("post", "/upload/branded", uploadRouteSpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), audit("upload.branded"), upload.single("file"), uploadHandler(CATALOGUES.branded));
+
+route("post", "/upload/generic/preview", previewRouteSpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), upload.single("file"), previewHandler(CATALOGUES.generic));
+route("post", "/upload/branded/preview", previewRouteSpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), upload.single("file"), previewHandler(CATALOGUES.branded));
+
+route("post", "/upload/generic/commit/:previewId", commitRouteSpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), audit("upload.generic.commit"), commitHandler(CATALOGUES.generic));
+route("post", "/upload/branded/commit/:previewId", commitRouteSpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), audit("upload.branded.commit"), commitHandler(CATALOGUES.branded));
+
+// ============================================================================
+// COLUMN PROFILE ENDPOINTS
+// ============================================================================
+
+/**
+ * Validate a column profile body. Returns { data } or { error }; with
+ * `partial` only the fields present are checked.
+ */
+function parseColumnProfileInput(body, partial = false) {
+    const data = {};
+    body = body ?? {};
+
+    if (body.name !== undefined || !partial) {
+        const name = String(body.name ?? "").trim();
+        if (!name) return { error: "name is required" };
+        if (name.toLowerCase() === DEFAULT_COLUMN_PROFILE.name) return { error: `"${name}" is reserved for the built-in profile` };
+        data.name = name;
+    }
+
+    if (body.columns !== undefined || !partial) {
+        const columns = body.columns;
+        if (!columns || typeof columns !== "object" || Array.isArray(columns)) {
+            return { error: "columns must map upload columns to source header names" };
+        }
+
+        const unknown = Object.keys(columns).filter(c => !UPLOAD_COLUMNS.includes(c));
+        if (unknown.length > 0) {
+            return { error: `Unknown columns: ${unknown.join(", ")}`, message: `Allowed columns: ${UPLOAD_COLUMNS.join(", ")}` };
+        }
+
+        if (!columns["PRODUCT NAME"]) return { error: "columns must include PRODUCT NAME" };
+
+        data.columns = Object.fromEntries(Object.entries(columns).map(([column, aliases]) =>
+            [column, [].concat(aliases).map(a => String(a).trim()).filter(Boolean)]
+        ));
+    }
+
+    for (const field of ["sheetIndex", "headerRow", "headerScanRows"]) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null && field !== "sheetIndex") {
+            data[field] = null;
+            continue;
+        }
+
+        const value = parseInt(body[field]);
+        const min = field === "sheetIndex" ? 0 : 1;
+        if (Number.isNaN(value) || value < min) return { error: `${field} must be an integer >= ${min}` };
+        data[field] = value;
+    }
+
+    return { data };
+}
+
+route("get", "/column-profiles", {
+    summary: "List column profiles, the built-in default first",
+    tags: ["Column profiles"],
+    responses: { 200: { description: "Profiles", schema: object({ profiles: arrayOf(ref("ColumnProfile")), total: INTEGER }) } }
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const profiles = await prisma.columnProfile.findMany({ orderBy: { name: "asc" } });
+        res.json({ profiles: [DEFAULT_COLUMN_PROFILE, ...profiles], total: profiles.length + 1 });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("get", "/column-profiles/:id", {
+    summary: "Get a column profile",
+    tags: ["Column profiles"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "Profile", schema: ref("ColumnProfile") } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const profile = await prisma.columnProfile.findUnique({ where: { id: req.params.id } });
+
+        if (!profile) {
+            return res.status(404).json({ error: "Column profile not found" });
+        }
+
+        res.json(profile);
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("post", "/column-profiles", {
+    summary: "Create a column profile",
+    tags: ["Column profiles"],
+    body: { ...ref("ColumnProfileInput"), required: ["name", "columns"] },
+    responses: { 201: { description: "Created profile", schema: ref("ColumnProfile") } },
+    errors: [409]
+}, requireRole(ROLES.ADMIN), audit("column-profile.create"), async (req, res) => {
+    try {
+        const { data, error, message } = parseColumnProfileInput(req.body);
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        const existing = await prisma.columnProfile.findUnique({ where: { name: data.name } });
+        if (existing) {
+            return res.status(409).json({ error: "Column profile name already exists", id: existing.id });
+        }
+
+        const profile = await prisma.columnProfile.create({ data });
+        res.locals.auditTargetId = profile.id;
+        res.status(201).json(profile);
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("patch", "/column-profiles/:id", {
+    summary: "Change some fields of a column profile",
+    tags: ["Column profiles"],
+    params: ID_PARAMS,
+    body: ref("ColumnProfileInput"),
+    responses: { 200: { description: "Updated profile", schema: ref("ColumnProfile") } },
+    errors: [404, 409]
+}, requireRole(ROLES.ADMIN), audit("column-profile.update"), async (req, res) => {
+    try {
+        const existing = await prisma.columnProfile.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ error: "Column profile not found" });
+        }
+
+        const { data, error, message } = parseColumnProfileInput(req.body, true);
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        if (data.name && data.name !== existing.name) {
+            const clash = await prisma.columnProfile.findUnique({ where: { name: data.name } });
+            if (clash) {
+                return res.status(409).json({ error: "Column profile name already exists", id: clash.id });
+            }
+        }
+
+        const profile = await prisma.columnProfile.update({
+            where: { id: existing.id },
+            data
+        });
+        res.json(profile);
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("delete", "/column-profiles/:id", {
+    summary: "Delete a column profile",
+    tags: ["Column profiles"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "Deleted", schema: SUCCESS } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("column-profile.delete"), async (req, res) => {
+    try {
+        const existing = await prisma.columnProfile.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ error: "Column profile not found" });
+        }
+
+        await prisma.columnProfile.delete({ where: { id: existing.id } });
+        res.json({ success: true, message: "Column profile deleted" });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// IMPORT JOB ENDPOINTS
+// ============================================================================
+
+/**
+ * Start an import in the background and return its job id straight away
+ */
+function startImportHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            if (!req.file && !jsonUploadRows(req.body)) {
+                return res.status(400).json({ 
+                    error: "No file uploaded",
+                    message: "Please upload a file with field name 'file' or send a JSON array of rows"
+                });
+            }
+
+            const sheet = await readUploadSheet(req);
+            if (!sheet) {
+                return res.status(404).json({ error: "Column profile not found" });
+            }
+
+            const rows = await buildUploadPreview(catalogue, sheet.rows);
+            const job = await createImportJob(catalogue, rows, { ...importSource(req), columnProfile: sheet.profile.name });
+            res.locals.auditTargetId = job.id;
+
+            runImportJob(job, catalogue, rows).catch(error => console.error(error));
+
+            res.status(202).json({
+                jobId: job.id,
+                status: job.status,
+                columnProfile: job.columnProfile,
+                totalRows: job.totalRows,
+                statusUrl: `${apiPrefix(req)}/imports/${job.id}`
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+function startImportRouteSpec(catalogue) {
+    return {
+        ...uploadSpec({
+            summary: `Start a background import of ${catalogue.kind} medicines`,
+            responses: {
+                202: {
+                    description: "Import started; poll statusUrl for progress",
+                    schema: object({
+                        jobId: STRING,
+                        status: STRING,
+                        columnProfile: nullable(STRING),
+                        totalRows: INTEGER,
+                        statusUrl: STRING
+                    }, ["jobId", "status", "statusUrl"])
+                }
+            }
+        }),
+        tags: ["Imports"]
+    };
+}
+
+route("post", "/imports/generic", startImportRouteSpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), audit("import.generic"), upload.single("file"), startImportHandler(CATALOGUES.generic));
+route("post", "/imports/branded", startImportRouteSpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), audit("import.branded"), upload.single("file"), startImportHandler(CATALOGUES.branded));
+
+// List past imports, newest first
+route("get", "/imports", {
+    summary: "List import jobs, newest first",
+    tags: ["Imports"],
+    query: pageQuery(100, {
+        kind: { type: "string", enum: ["generic", "branded"] },
+        status: anyCaseEnum(Object.values(IMPORT_STATUS))
+    }),
+    responses: {
+        200: {
+            description: "Import jobs",
+            schema: object({ jobs: arrayOf(ref("ImportJob")), total: INTEGER, limit: INTEGER, offset: INTEGER })
+        }
+    }
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+        const where = {};
+
+        if (req.query.kind) where.kind = req.query.kind;
+        if (req.query.status) where.status = String(req.query.status).toUpperCase();
+
+        const [jobs, total] = await Promise.all([
+            prisma.importJob.findMany({
+                where,
+                orderBy: { createdAt: "desc" },
+                take: limit,
+                skip: offset
+            }),
+            prisma.importJob.count({ where })
+        ]);
+
+        res.json({
+            jobs: jobs.map(formatImportJob),
+            total,
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Poll a single import's progress
+route("get", "/imports/:id", {
+    summary: "Progress and outcome of an import job",
+    tags: ["Imports"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "Import job", schema: ref("ImportJob") } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const job = await prisma.importJob.findUnique({
+            where: { id: req.params.id }
+        });
+
+        if (!job) {
+            return res.status(404).json({ error: "Import job not found" });
+        }
+
+        res.json(formatImportJob(job));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// PRICE HISTORY ENDPOINTS
+// ============================================================================
+
+/**
+ * PTR/MRP timeline for one product, oldest change first
+ */
+function priceTimelineHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const name = req.query.name;
+
+            const medicine = await prisma[catalogue.model].findFirst({
+                where: {
+                    [catalogue.nameField]: {
+                        equals: name,
+                        mode: "insensitive"
+                    }
+                }
+            });
+
+            if (!medicine) {
+                return res.status(404).json({ error: `${catalogue.label} medicine not found` });
+            }
+
+            const history = await prisma.priceHistory.findMany({
+                where: { [catalogue.relationField]: medicine.id },
+                orderBy: { changedAt: "asc" },
+                include: {
+                    importJob: { select: { id: true, sourceFile: true, uploadedBy: true } }
+                }
+            });
+
+            res.json({
+                name: medicine[catalogue.nameField],
+                current: { ptr: medicine.ptr, mrp: medicine.mrp },
+                history: history.map(h => ({
+                    changedAt: h.changedAt,
+                    ptr: { from: h.ptrFrom, to: h.ptrTo },
+                    mrp: { from: h.mrpFrom, to: h.mrpTo },
+                    importJob: h.importJob
+                })),
+                totalChanges: history.length
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+/**
+ * Biggest price increases between two completed imports, by percentage
+ */
+function priceIncreasesHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const { from, to } = req.query;
+            const field = req.query.field === "mrp" ? "mrp" : "ptr";
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+            const [fromJob, toJob] = await Promise.all([
+                prisma.importJob.findUnique({ where: { id: from } }),
+                prisma.importJob.findUnique({ where: { id: to } })
+            ]);
+
+            if (!fromJob || !toJob) {
+                return res.status(404).json({ error: "Import job not found" });
+            }
+
+            if (fromJob.status !== IMPORT_STATUS.COMPLETED || toJob.status !== IMPORT_STATUS.COMPLETED) {
+                return res.status(400).json({ error: "Both imports must be completed" });
+            }
+
+            if (fromJob.finishedAt > toJob.finishedAt) {
+                return res.status(400).json({ error: "from import must finish before to import" });
+            }
+
+            const history = await prisma.priceHistory.findMany({
+                where: {
+                    [catalogue.relationField]: { not: null },
+                    changedAt: { lte: toJob.finishedAt }
+                },
+                orderBy: { changedAt: "asc" },
+                include: {
+                    [catalogue.kind]: { select: { [catalogue.nameField]: true } }
+                }
+            });
+
+            // Replay the history to get each product's price as of both imports
+            const prices = new Map();
+            for (const h of history) {
+                const id = h[catalogue.relationField];
+                const entry = prices.get(id) ?? { name: h[catalogue.kind][catalogue.nameField], before: null, after: null };
+                const price = h[`${field}To`];
+
+                if (h.changedAt <= fromJob.finishedAt) entry.before = price;
+                entry.after = price;
+                prices.set(id, entry);
+            }
+
+            const increases = [...prices.values()]
+                .filter(p => p.before !== null && p.after !== null && p.before > 0 && p.after > p.before)
+                .map(p => ({
+                    name: p.name,
+                    from: p.before,
+                    to: p.after,
+                    increase: Number((p.after - p.before).toFixed(2)),
+                    increasePercent: Number(((p.after - p.before) / p.before * 100).toFixed(2))
+                }))
+                .sort((a, b) => b.increasePercent - a.increasePercent);
+
+            res.json({
+                field,
+                from: { id: fromJob.id, sourceFile: fromJob.sourceFile, finishedAt: fromJob.finishedAt },
+                to: { id: toJob.id, sourceFile: toJob.sourceFile, finishedAt: toJob.finishedAt },
+                increases: increases.slice(0, limit),
+                totalIncreased: increases.length
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+function priceTimelineSpec(catalogue) {
+    return {
+        summary: `PTR/MRP timeline of a ${catalogue.kind} medicine, oldest change first`,
+        tags: ["Prices"],
+        query: object({ name: { type: "string", minLength: 1, description: "Exact name, case-insensitive" } }, ["name"]),
+        responses: {
+            200: {
+                description: "Price timeline",
+                schema: object({
+                    name: STRING,
+                    current: object({ ptr: nullable(NUMBER), mrp: nullable(NUMBER) }),
+                    history: arrayOf(object({
+                        changedAt: DATE_TIME,
+                        ptr: ref("PriceChange"),
+                        mrp: ref("PriceChange"),
+                        importJob: nullable(object({ id: STRING, sourceFile: nullable(STRING), uploadedBy: nullable(STRING) }))
+                    })),
+                    totalChanges: INTEGER
+                }, ["name", "current", "history"])
+            }
+        },
+        errors: [404]
+    };
+}
+
+function priceIncreasesSpec(catalogue) {
+    return {
+        summary: `Biggest ${catalogue.kind} price increases between two completed imports`,
+        tags: ["Prices"],
+        query: object({
+            from: { type: "string", minLength: 1, description: "Earlier import job id" },
+            to: { type: "string", minLength: 1, description: "Later import job id" },
+            field: { type: "string", enum: ["ptr", "mrp"] },
+            limit: { type: "integer", minimum: 1, description: "Capped at 100" }
+        }, ["from", "to"]),
+        responses: {
+            200: {
+                description: "Increases by percentage, largest first",
+                schema: object({
+                    field: { type: "string", enum: ["ptr", "mrp"] },
+                    from: ANY_OBJECT,
+                    to: ANY_OBJECT,
+                    increases: arrayOf(object({ name: STRING, from: NUMBER, to: NUMBER, increase: NUMBER, increasePercent: NUMBER })),
+                    totalIncreased: INTEGER
+                }, ["field", "increases"])
+            }
+        },
+        errors: [404]
+    };
+}
+
+route("get", "/prices/generic/history", priceTimelineSpec(CATALOGUES.generic), requireRole(ROLES.PHARMACIST), priceTimelineHandler(CATALOGUES.generic));
+route("get", "/prices/branded/history", priceTimelineSpec(CATALOGUES.branded), requireRole(ROLES.PHARMACIST), priceTimelineHandler(CATALOGUES.branded));
+
+route("get", "/prices/generic/increases", priceIncreasesSpec(CATALOGUES.generic), requireRole(ROLES.PHARMACIST), priceIncreasesHandler(CATALOGUES.generic));
+route("get", "/prices/branded/increases", priceIncreasesSpec(CATALOGUES.branded), requireRole(ROLES.PHARMACIST), priceIncreasesHandler(CATALOGUES.branded));
+
+// ============================================================================
+// SEARCH INDEX
+// ============================================================================
+
+// Minimum similarity (0-1) for a fuzzy match, overridable per request with ?threshold=
+const FUZZY_THRESHOLD = parseFloat(process.env.FUZZY_THRESHOLD) || 0.6;
+
+// Name indexes per catalogue plus the salt index, built on first use and kept in sync by uploads
+const searchIndexes = {};
+const SALT_INDEX = "salt";
+
+/**
+ * Fuzzy threshold from the request, falling back to FUZZY_THRESHOLD
+ */
+function fuzzyThreshold(req) {
+    const threshold = parseFloat(req.query.threshold);
+    if (Number.isNaN(threshold)) return FUZZY_THRESHOLD;
+    return Math.min(Math.max(threshold, 0), 1);
+}
+
+/**
+ * Load every name of a catalogue into a fresh trigram index
+ */
+async function buildSearchIndex(catalogue) {
+    const index = createSearchIndex({ normalize: normalizeString, score: similarityScore });
+    const records = await prisma[catalogue.model].findMany({
+        where: { deletedAt: null },
+        select: { id: true, [catalogue.nameField]: true, type: true }
+    });
+
+    for (const record of records) {
+        index.add(record.id, record[catalogue.nameField], { type: record.type });
+    }
+    return index;
+}
+
+/**
+ * Add each ingredient of the records' salts to the salt index, remembering
+ * which dosage forms it is sold in
+ */
+function addSalts(index, records) {
+    for (const { salt, type } of records) {
+        if (!salt) continue;
+
+        for (const ingredient of salt.split(" + ")) {
+            const types = index.get(ingredient)?.meta.types ?? new Set();
+            if (type) types.add(type);
+            index.add(ingredient, ingredient, { types });
+        }
+    }
+}
+
+/**
+ * Load every distinct ingredient of both catalogues into a fresh trigram index
+ */
+async function buildSaltIndex() {
+    const index = createSearchIndex({ normalize: normalizeString, score: similarityScore });
+
+    for (const catalogue of Object.values(CATALOGUES)) {
+        const records = await prisma[catalogue.model].findMany({
+            where: { salt: { not: null }, deletedAt: null },
+            select: { salt: true, type: true },
+            distinct: ["salt", "type"]
+        });
+        addSalts(index, records);
+    }
+    return index;
+}
+
+/**
+ * Named index, building it on first use
+ */
+async function loadSearchIndex(name, build) {
+    if (!searchIndexes[name]) {
+        searchIndexes[name] = build().catch(error => {
+            delete searchIndexes[name];
+            throw error;
+        });
+    }
+    return searchIndexes[name];
+}
+
+/**
+ * Trigram index of a catalogue's names
+ */
+async function getSearchIndex(catalogue) {
+    return loadSearchIndex(catalogue.kind, () => buildSearchIndex(catalogue));
+}
+
+/**
+ * Trigram index of ingredient names across both catalogues
+ */
+async function getSaltIndex() {
+    return loadSearchIndex(SALT_INDEX, buildSaltIndex);
+}
+
+/**
+ * Add created or updated medicines to the name and salt indexes that have been
+ * built, and drop cached searches they affect. Pass `membership: false` when
+ * only fields outside SEARCH_MEMBERSHIP_FIELDS changed, so just the searches
+ * that returned these medicines are dropped.
+ */
+async function indexMedicines(catalogue, records, { membership = true } = {}) {
+    invalidateSearches(membership ? [catalogue.kind] : records.map(r => r.id));
+
+    if (searchIndexes[catalogue.kind]) {
+        const index = await searchIndexes[catalogue.kind];
+        for (const record of records) {
+            index.add(record.id, record[catalogue.nameField], { type: record.type });
+        }
+    }
+
+    if (searchIndexes[SALT_INDEX]) {
+        addSalts(await searchIndexes[SALT_INDEX], records);
+    }
+}
+
+/**
+ * Drop deleted medicines from the name index and cached searches. The salt index
+ * cannot tell whether another medicine still uses an ingredient, so it is rebuilt
+ * on next use.
+ */
+async function unindexMedicines(catalogue, ids) {
+    invalidateSearches([catalogue.kind]);
+
+    if (searchIndexes[catalogue.kind]) {
+        const index = await searchIndexes[catalogue.kind];
+        for (const id of ids) index.remove(id);
+    }
+
+    delete searchIndexes[SALT_INDEX];
+}
+
+// ============================================================================
+// SEARCH CACHE AND RATE LIMITING
+// ============================================================================
+
+// Search responses are cached per URL; SEARCH_CACHE_MAX_ENTRIES=0 turns caching off
+const SEARCH_CACHE_TTL_MS = parseInt(process.env.SEARCH_CACHE_TTL_MS) || 5 * 60 * 1000;
+const SEARCH_CACHE_MAX_ENTRIES = parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES ?? "1000");
+
+// Module whose default export builds a store ({ maxEntries, ttlMs }) => store in place of the in-process LRU
+const SEARCH_CACHE_STORE = process.env.SEARCH_CACHE_STORE;
+
+// Requests each client may make to search and autocomplete routes per window
+const SEARCH_RATE_LIMIT = parseInt(process.env.SEARCH_RATE_LIMIT) || 120;
+const SEARCH_RATE_WINDOW_MS = parseInt(process.env.SEARCH_RATE_WINDOW_MS) || 60 * 1000;
+
+// Set SEARCH_LOG=false to stop recording name searches for the analytics reports
+const SEARCH_LOG = process.env.SEARCH_LOG !== "false";
+
+// Changes to these fields can move a medicine into or out of other searches' results
+const SEARCH_MEMBERSHIP_FIELDS = [
+    "name", "contents", "salt", "compositionKey", "ingredientKey", "type", "deletedAt",
+    "manufacturer", "schedule", "hsnCode", "gstRate"
+];
+
+/**
+ * Store for cached search responses - the configured module's, or an LRU
+ */
+async function loadSearchCacheStore() {
+    if (!SEARCH_CACHE_STORE) {
+        return createLruStore({ maxEntries: SEARCH_CACHE_MAX_ENTRIES });
+    }
+
+    const { default: createStore } = await import(pathToFileURL(path.resolve(SEARCH_CACHE_STORE)).href);
+    return createStore({ maxEntries: SEARCH_CACHE_MAX_ENTRIES, ttlMs: SEARCH_CACHE_TTL_MS });
+}
+
+const searchCache = SEARCH_CACHE_MAX_ENTRIES > 0
+    ? createResponseCache({ store: await loadSearchCacheStore(), ttlMs: SEARCH_CACHE_TTL_MS })
+    : null;
+
+const searchRateLimiter = createRateLimiter({ limit: SEARCH_RATE_LIMIT, windowMs: SEARCH_RATE_WINDOW_MS });
+
+/**
+ * Cache tags for a search response: the catalogues it searched and the medicines it returned
+ */
+function searchCacheTags(catalogues, records) {
+    return [...catalogues.map(c => c.kind), ...records.map(r => r.id)];
+}
+
+/**
+ * Cache tag for searches ranked by one store's stock
+ */
+function stockCacheTag(storeId) {
+    return `stock:${storeId}`;
+}
+
+/**
+ * Whether a change set can affect which searches a medicine shows up in
+ */
+function changesSearchMembership(changes) {
+    return Object.keys(changes).some(field => SEARCH_MEMBERSHIP_FIELDS.includes(field));
+}
+
+/**
+ * Drop cached searches built from any of `tags` (catalogue kinds, medicine ids
+ * or store stock tags)
+ */
+function invalidateSearches(tags) {
+    searchCache?.invalidate(tags);
+}
+
+/**
+ * Serve a search from the cache, or cache its successful response. The
+ * handler lists what the response was built from in res.locals.cacheTags;
+ * responses without tags are not cached. res.locals.searchMatch is cached
+ * along with the response so hits are logged like misses.
+ */
+async function cacheSearch(req, res, next) {
+    if (!searchCache) return next();
+
+    const query = new URLSearchParams(req.originalUrl.split("?")[1] ?? "");
+    query.sort();
+    const key = `${req.path}?${query}`;
+
+    try {
+        const cached = await searchCache.get(key);
+        if (cached) {
+            res.set("X-Cache", "HIT");
+            res.locals.searchMatch = cached.searchMatch;
+            return res.json(cached.body);
+        }
+    } catch (error) {
+        console.error(error);
+        return next();
+    }
+
+    const startedAt = Date.now();
+    const json = res.json.bind(res);
+
+    res.set("X-Cache", "MISS");
+    res.json = body => {
+        if (res.statusCode === 200 && res.locals.cacheTags) {
+            searchCache.set(key, { body, searchMatch: res.locals.searchMatch }, { tags: res.locals.cacheTags, startedAt })
+                .catch(error => console.error(error));
+        }
+        return json(body);
+    };
+
+    next();
+}
+
+/**
+ * Search query as grouped in the analytics reports - upper case, single spaces
+ */
+function normalizeSearchQuery(query) {
+    return String(query ?? "").replace(/\s+/g, " ").trim().toUpperCase();
+}
+
+/**
+ * Record a name search in the search log once it has been answered, with
+ * what it matched (res.locals.searchMatch: { id, name, stage, confidence }),
+ * its latency and whether it came from the cache. Only searches that ran -
+ * found (200) or not (404) - are recorded.
+ */
+function logSearch(catalogue) {
+    return (req, res, next) => {
+        if (!SEARCH_LOG) return next();
+
+        const startedAt = Date.now();
+
+        res.on("finish", () => {
+            if (res.statusCode !== 200 && res.statusCode !== 404) return;
+
+            const query = String(req.query.name ?? "");
+            const match = res.locals.searchMatch;
+
+            prisma.searchLog.create({
+                data: {
+                    kind: catalogue.kind,
+                    query,
+                    normalizedQuery: normalizeSearchQuery(query),
+                    matchedId: match?.id ?? null,
+                    matchedName: match?.name ?? null,
+                    stage: match?.stage ?? null,
+                    confidence: match?.confidence ?? null,
+                    statusCode: res.statusCode,
+                    latencyMs: Date.now() - startedAt,
+                    cached: res.get("X-Cache") === "HIT"
+                }
+            }).catch(error => console.error(error));
+        });
+
+        next();
+    };
+}
+
+/**
+ * Count requests per client - API key when one is sent, address otherwise -
+ * and answer 429 past the limit. Sets the RateLimit-* headers either way.
+ */
+function rateLimit(limiter) {
+    const policy = `${limiter.limit};w=${Math.round(limiter.windowMs / 1000)}`;
+
+    return (req, res, next) => {
+        const client = req.auth.apiKey ? `key:${req.auth.apiKey.id}` : `ip:${req.ip}`;
+        const { allowed, limit, remaining, resetAt } = limiter.hit(client);
+        const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+        res.set({
+            "RateLimit-Limit": String(limit),
+            "RateLimit-Remaining": String(remaining),
+            "RateLimit-Reset": String(resetSeconds),
+            "RateLimit-Policy": policy
+        });
+
+        if (!allowed) {
+            res.set("Retry-After", String(resetSeconds));
+            return res.status(429).json({
+                error: "Too many requests",
+                message: `Limit is ${limit} requests per ${Math.round(limiter.windowMs / 1000)}s, retry in ${resetSeconds}s`
+            });
+        }
+
+        next();
+    };
+}
+
+// Paths under these prefixes are rate limited, with or without the /v1 prefix
+const RATE_LIMITED_PATHS = ["/search", "/suggest"];
+
+app.use([...RATE_LIMITED_PATHS, ...RATE_LIMITED_PATHS.map(p => `${API_V1}${p}`)], rateLimit(searchRateLimiter));
+
+// ============================================================================
+// SEARCH ENDPOINTS WITH FUZZY MATCHING
+// ============================================================================
+
+// Schedule filter values: one schedule code or several separated by commas
+const SCHEDULE_CODES = [...SCHEDULES, ...SCHEDULES.map(s => s.toLowerCase())].join("|");
+
+// Filters on the regulatory fields, accepted by the search, catalogue and export routes
+const METADATA_FILTERS = {
+    manufacturer: { type: "string", description: "Manufacturer contains, any case" },
+    schedule: {
+        type: "string",
+        pattern: `^(?:${SCHEDULE_CODES})(?:,(?:${SCHEDULE_CODES}))*$`,
+        description: `Schedule, or several separated by commas: ${SCHEDULES.join(", ")}`
+    },
+    hsnCode: { type: "string", pattern: "^\\d{2,8}$", description: "HSN code or a prefix of it" },
+    gstRate: { type: "number", minimum: 0, maximum: 100, description: "GST rate in percent" }
+};
+
+/**
+ * The regulatory filters of a query as a Prisma where fragment and as a
+ * predicate for records already loaded
+ */
+function metadataFilter(query) {
+    const where = {};
+    const tests = [];
+
+    if (query.manufacturer) {
+        const manufacturer = String(query.manufacturer).trim();
+        where.manufacturer = { contains: manufacturer, mode: "insensitive" };
+        tests.push(m => Boolean(m.manufacturer?.toUpperCase().includes(manufacturer.toUpperCase())));
+    }
+    if (query.schedule) {
+        const schedules = String(query.schedule).toUpperCase().split(",");
+        where.schedule = { in: schedules };
+        tests.push(m => schedules.includes(m.schedule));
+    }
+    if (query.hsnCode) {
+        const prefix = String(query.hsnCode);
+        where.hsnCode = { startsWith: prefix };
+        tests.push(m => Boolean(m.hsnCode?.startsWith(prefix)));
+    }
+    if (query.gstRate !== undefined) {
+        const rate = parseFloat(query.gstRate);
+        where.gstRate = rate;
+        tests.push(m => m.gstRate === rate);
+    }
+
+    return { where, matches: medicine => tests.every(test => test(medicine)) };
+}
+
+/**
+ * Medicines in `catalogue` with the same ingredients and strengths, cheapest first.
+ * Falls back to the salt when the contents had no parseable composition. Medicines
+ * on a different prescription schedule are left out.
+ */
+async function findEquivalents(medicine, catalogue) {
+    let where = null;
+    let matchedBy = null;
+
+    if (medicine.compositionKey) {
+        where = { compositionKey: medicine.compositionKey };
+        matchedBy = "composition";
+    } else if (medicine.salt) {
+        where = { salt: medicine.salt };
+        matchedBy = "salt";
+    }
+
+    if (!where) return { matches: [], matchedBy };
+
+    const matches = await prisma[catalogue.model].findMany({
+        where: { ...where, deletedAt: null },
+        orderBy: { ptr: 'asc' }
+    });
+
+    return { matches: matches.filter(m => schedulesCompatible(medicine.schedule, m.schedule)), matchedBy };
+}
+
+/**
+ * Resolve a free-text name to one medicine: exact match, then contains, then
+ * fuzzy. Returns { medicine, stage, confidence }, with medicine null when
+ * nothing scored above the threshold.
+ */
+async function resolveMedicine(catalogue, query, { threshold = FUZZY_THRESHOLD } = {}) {
+    const model = prisma[catalogue.model];
+
+    // Step 1: Try exact match (case-insensitive)
+    let medicine = await model.findFirst({
+        where: {
+            [catalogue.nameField]: {
+                equals: query,
+                mode: "insensitive"
+            },
+            deletedAt: null
+        }
+    });
+
+    if (medicine) return { medicine, stage: "exact", confidence: 1 };
+
+    // Step 2: Try contains match
+    medicine = await model.findFirst({
+        where: {
+            [catalogue.nameField]: {
+                contains: query,
+                mode: "insensitive"
+            },
+            deletedAt: null
+        }
+    });
+
+    if (medicine) {
+        const confidence = similarityScore(normalizeString(query), normalizeString(medicine[catalogue.nameField]));
+        return { medicine, stage: "contains", confidence };
+    }
+
+    // Step 3: Fuzzy matching if still not found
+    const index = await getSearchIndex(catalogue);
+    const [best] = index.search(query, { threshold, limit: 1 }).results;
+
+    if (best) {
+        medicine = await model.findUnique({ where: { id: best.id, deletedAt: null } });
+        if (medicine) return { medicine, stage: "fuzzy", confidence: best.score };
+    }
+
+    return { medicine: null, stage: null, confidence: 0 };
+}
+
+/**
+ * Kinds of branded-to-generic match, best first
+ */
+const MATCH_TYPES = ["exact", "different_strength", "different_form"];
+
+/**
+ * PTR per pack unit (tablet, ml, ...), or null when the packing has no quantity
+ */
+function unitPrice(medicine) {
+    const pack = parsePackQuantity(medicine.packing);
+    if (!pack || medicine.ptr === null || medicine.ptr === undefined) return null;
+    return Number((medicine.ptr / pack.quantity).toFixed(4));
+}
+
+/**
+ * Savings of `generic` over `branded` in percent, per unit when both packings
+ * are comparable and per pack otherwise
+ */
+function computeSavings(branded, generic) {
+    const brandedPack = parsePackQuantity(branded.packing);
+    const genericPack = parsePackQuantity(generic.packing);
+
+    if (comparableUnits(brandedPack, genericPack) && branded.ptr && generic.ptr !== null) {
+        const brandedUnit = branded.ptr / brandedPack.quantity;
+        const genericUnit = generic.ptr / genericPack.quantity;
+        return { percent: (brandedUnit - genericUnit) / brandedUnit * 100, basis: "unit" };
+    }
+
+    if (branded.ptr && generic.ptr !== null && generic.ptr !== undefined) {
+        return { percent: (branded.ptr - generic.ptr) / branded.ptr * 100, basis: "pack" };
+    }
+
+    return { percent: null, basis: null };
+}
+
+/**
+ * How well a generic substitutes for a branded medicine
+ */
+function classifyMatch(branded, generic) {
+    if (generic.type !== branded.type) return "different_form";
+    if (generic.compositionKey !== branded.compositionKey) return "different_strength";
+    return "exact";
+}
+
+/**
+ * Substitute candidates for a batch of branded medicines, keyed by branded id.
+ * Curated mappings win when a brand has any; otherwise generics with the same
+ * ingredients are used, or the same salt when the contents had no composition.
+ */
+async function loadSubstituteCandidates(brandeds) {
+    const keys = [...new Set(brandeds.map(b => b.ingredientKey).filter(Boolean))];
+    const salts = [...new Set(brandeds.filter(b => !b.ingredientKey && b.salt).map(b => b.salt))];
+
+    const [mappings, genericsByKey, genericsBySalt] = await Promise.all([
+        prisma.substitutionMapping.findMany({
+            where: { brandedId: { in: brandeds.map(b => b.id) }, generic: { deletedAt: null } },
+            include: { generic: true }
+        }),
+        keys.length > 0 ? prisma.genericMedicine.findMany({ where: { ingredientKey: { in: keys }, deletedAt: null } }) : [],
+        salts.length > 0 ? prisma.genericMedicine.findMany({ where: { salt: { in: salts }, deletedAt: null } }) : []
+    ]);
+
+    const groupBy = (items, key) => {
+        const groups = new Map();
+        for (const item of items) {
+            if (!groups.has(item[key])) groups.set(item[key], []);
+            groups.get(item[key]).push(item);
+        }
+        return groups;
+    };
+
+    const curated = groupBy(mappings, "brandedId");
+    const byKey = groupBy(genericsByKey, "ingredientKey");
+    const bySalt = groupBy(genericsBySalt, "salt");
+    const automatic = generic => ({ generic, preferred: false, note: null });
+
+    return new Map(brandeds.map(branded => {
+        if (curated.has(branded.id)) {
+            return [branded.id, {
+                candidates: curated.get(branded.id).map(m => ({ generic: m.generic, preferred: m.preferred, note: m.note })),
+                matchedBy: "curated"
+            }];
+        }
+        if (branded.ingredientKey) {
+            return [branded.id, { candidates: (byKey.get(branded.ingredientKey) ?? []).map(automatic), matchedBy: "composition" }];
+        }
+        if (branded.salt) {
+            return [branded.id, { candidates: (bySalt.get(branded.salt) ?? []).map(automatic), matchedBy: "salt" }];
+        }
+        return [branded.id, { candidates: [], matchedBy: null }];
+    }));
+}
+
+/**
+ * Rank substitute candidates preferred first, then by equivalence (exact,
+ * different strength, different dosage form), then by unit price. Generics on
+ * a different prescription schedule are never offered, even when curated.
+ * With a store's `stock` (see loadStock) each substitute gets its availability
+ * and the ones in stock come first.
+ */
+function rankSubstitutes(branded, candidates, matchedBy, stock = null) {
+    const substitutes = candidates
+        .filter(({ generic }) => schedulesCompatible(branded.schedule, generic.schedule))
+        .map(({ generic, preferred, note }) => ({
+            generic,
+            source: matchedBy,
+            preferred,
+            note,
+            matchType: classifyMatch(branded, generic),
+            unitPrice: unitPrice(generic),
+            savings: computeSavings(branded, generic),
+            availability: stock ? stockAvailability(generic, stock.get(generic.id)) : null
+        }));
+
+    return substitutes.sort((a, b) =>
+        Number(Boolean(b.availability?.inStock)) - Number(Boolean(a.availability?.inStock)) ||
+        Number(b.preferred) - Number(a.preferred) ||
+        MATCH_TYPES.indexOf(a.matchType) - MATCH_TYPES.indexOf(b.matchType) ||
+        (a.unitPrice ?? Infinity) - (b.unitPrice ?? Infinity) ||
+        (a.generic.ptr ?? Infinity) - (b.generic.ptr ?? Infinity)
+    );
+}
+
+/**
+ * Ranked generic substitutes for one branded medicine, stock-aware when a
+ * store is given
+ */
+async function findSubstitutes(branded, { storeId = null } = {}) {
+    const { candidates, matchedBy } = (await loadSubstituteCandidates([branded])).get(branded.id);
+    const stock = storeId ? await loadStock(storeId, candidates.map(c => c.generic.id)) : null;
+    return { substitutes: rankSubstitutes(branded, candidates, matchedBy, stock), matchedBy };
+}
+
+/**
+ * The substitute to recommend: a curator's preferred generic, otherwise the
+ * cheapest exact match. Only priced generics qualify, and ones in stock are
+ * picked over ones that are not.
+ */
+function bestSubstitute(substitutes) {
+    const pick = list =>
+        list.find(s => s.preferred && s.generic.ptr !== null) ??
+        list.find(s => s.matchType === "exact" && s.generic.ptr !== null) ??
+        null;
+
+    return pick(substitutes.filter(s => s.availability?.inStock)) ?? pick(substitutes);
+}
+
+/**
+ * Copy of `source` with only `fields`
+ */
+function pickFields(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source[field]]));
+}
+
+// Medicine fields each unversioned search response listed
+const LEGACY_SEARCH_FIELDS = ["name", "salt", "contents", "type", "packing", "ptr", "mrp", "shipperSize"];
+const LEGACY_SALT_FIELDS = ["name", "contents", "type", "packing", "ptr", "mrp"];
+
+/**
+ * Unversioned /search/branded shape: "branded"/"generics" and savings as a "12.34%" string
+ */
+function legacyBrandedSearch(body) {
+    return {
+        match: body.match,
+        branded: pickFields(body.medicine, ["name", "salt", "composition", ...LEGACY_SEARCH_FIELDS.slice(2), "unitPrice"]),
+        generics: body.alternatives.map(g => ({
+            ...pickFields(g, [...LEGACY_SEARCH_FIELDS, "source", "preferred", "note", "matchType", "unitPrice"]),
+            savings: g.savingsPercent !== null ? g.savingsPercent.toFixed(2) + '%' : null,
+            savingsBasis: g.savingsBasis,
+            ...(g.availability && { availability: g.availability })
+        })),
+        matchedBy: body.matchedBy,
+        totalGenerics: body.total,
+        ...(body.store && { store: body.store })
+    };
+}
+
+/**
+ * Unversioned /search/generic shape: "generic"/"brandedAlternatives"
+ */
+function legacyGenericSearch(body) {
+    return {
+        match: body.match,
+        generic: pickFields(body.medicine, ["name", "salt", "composition", ...LEGACY_SEARCH_FIELDS.slice(2)]),
+        brandedAlternatives: body.alternatives.map(b => pickFields(b, LEGACY_SEARCH_FIELDS)),
+        matchedBy: body.matchedBy,
+        totalBranded: body.total
+    };
+}
+
+/**
+ * Unversioned /search/salt shape: fewer fields per medicine and "totalResults"
+ */
+function legacySaltSearch(body) {
+    return {
+        salt: body.salt,
+        aliases: body.aliases,
+        generics: body.generics.map(g => pickFields(g, LEGACY_SALT_FIELDS)),
+        branded: body.branded.map(b => pickFields(b, LEGACY_SALT_FIELDS)),
+        totalResults: body.total
+    };
+}
+
+/**
+ * What a name search resolved to, for the search log
+ */
+function searchMatch(catalogue, medicine, stage, confidence) {
+    return { id: medicine.id, name: medicine[catalogue.nameField], stage, confidence: Number(confidence.toFixed(4)) };
+}
+
+const SEARCH_QUERY = object({
+    name: { type: "string", minLength: 1 },
+    threshold: { type: "number", minimum: 0, maximum: 1, description: `Fuzzy match threshold, default ${FUZZY_THRESHOLD}` }
+}, ["name"]);
+
+// Medicine with its parsed composition, as the search routes return it
+const SEARCHED_MEDICINE = { allOf: [ref("Medicine"), object({ composition: arrayOf(ref("Component")) })] };
+
+route("get", "/search/branded", {
+    summary: "Resolve a branded medicine and rank its generic substitutes",
+    description: "With `storeId`, each substitute carries its availability at that store and the ones in stock are ranked first. Unversioned path: the medicine is under `branded`, substitutes under `generics` with savings as a percent string, and the count in `totalGenerics`.",
+    tags: ["Search"],
+    query: object({
+        ...SEARCH_QUERY.properties,
+        ...METADATA_FILTERS,
+        storeId: { type: "string", description: "Store whose stock to rank substitutes by" }
+    }, ["name"]),
+    legacy: legacyBrandedSearch,
+    responses: {
+        200: {
+            description: "Branded medicine and substitutes, best first",
+            schema: object({
+                match: ref("Match"),
+                medicine: SEARCHED_MEDICINE,
+                alternatives: arrayOf({
+                    allOf: [ref("Medicine"), object({
+                        source: { type: "string", enum: ["curated", "composition", "salt"] },
+                        preferred: BOOLEAN,
+                        note: nullable(STRING),
+                        matchType: { type: "string", enum: MATCH_TYPES },
+                        savingsPercent: nullable(NUMBER),
+                        savingsBasis: nullable({ type: "string", enum: ["unit", "pack"] }),
+                        availability: ref("Availability")
+                    })]
+                }),
+                matchedBy: nullable(STRING),
+                total: INTEGER,
+                store: ref("StoreRef")
+            }, ["match", "medicine", "alternatives", "total"])
+        }
+    },
+    errors: [404]
+}, logSearch(CATALOGUES.branded), cacheSearch, async (req, res) => {
+    try {
+        const query = req.query.name;
+
+        let store = null;
+        if (req.query.storeId) {
+            store = await prisma.store.findUnique({ where: { id: req.query.storeId } });
+            if (!store) {
+                return res.status(404).json({ error: "Store not found" });
+            }
+        }
+
+        const { medicine: branded, stage, confidence } = await resolveMedicine(CATALOGUES.branded, query, {
+            threshold: fuzzyThreshold(req)
+        });
+
+        if (!branded) {
+            return res.status(404).json({ 
+                error: "Branded medicine not found",
+                suggestion: "Please check the spelling or try a different search term"
+            });
+        }
+
+        res.locals.searchMatch = searchMatch(CATALOGUES.branded, branded, stage, confidence);
+
+        // Find generic substitutes, best equivalence first
+        const { matches } = metadataFilter(req.query);
+        const { substitutes: ranked, matchedBy } = await findSubstitutes(branded, { storeId: store?.id });
+        const substitutes = ranked.filter(s => matches(s.generic));
+
+        res.locals.cacheTags = [
+            ...searchCacheTags([CATALOGUES.branded, CATALOGUES.generic], [branded, ...substitutes.map(s => s.generic)]),
+            ...(store ? [stockCacheTag(store.id)] : [])
+        ];
+        res.json({
+            match: { stage, confidence: Number(confidence.toFixed(4)) },
+            medicine: {
+                ...formatMedicine(CATALOGUES.branded, branded),
+                composition: parseContents(branded.contents)
+            },
+            alternatives: substitutes.map(({ generic, source, preferred, note, matchType, savings, availability }) => ({
+                ...formatMedicine(CATALOGUES.generic, generic),
+                source,
+                preferred,
+                note,
+                matchType,
+                savingsPercent: savings.percent !== null ? Number(savings.percent.toFixed(2)) : null,
+                savingsBasis: savings.basis,
+                ...(availability && { availability })
+            })),
+            matchedBy,
+            total: substitutes.length,
+            ...(store && { store: formatStoreRef(store) })
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("get", "/search/generic", {
+    summary: "Resolve a generic medicine and list branded medicines with the same composition",
+    description: "Unversioned path: the medicine is under `generic`, the branded medicines under `brandedAlternatives` and the count in `totalBranded`.",
+    tags: ["Search"],
+    query: object({ ...SEARCH_QUERY.properties, ...METADATA_FILTERS }, ["name"]),
+    legacy: legacyGenericSearch,
+    responses: {
+        200: {
+            description: "Generic medicine and branded equivalents, cheapest first",
+            schema: object({
+                match: ref("Match"),
+                medicine: SEARCHED_MEDICINE,
+                alternatives: arrayOf(ref("Medicine")),
+                matchedBy: nullable(STRING),
+                total: INTEGER
+            }, ["match", "medicine", "alternatives", "total"])
+        }
+    },
+    errors: [404]
+}, logSearch(CATALOGUES.generic), cacheSearch, async (req, res) => {
+    try {
+        const query = req.query.name;
+
+        const { medicine: generic, stage, confidence } = await resolveMedicine(CATALOGUES.generic, query, {
+            threshold: fuzzyThreshold(req)
+        });
+
+        if (!generic) {
+            return res.status(404).json({ 
+                error: "Generic medicine not found",
+                suggestion: "Please check the spelling or try a different search term"
+            });
+        }
+
+        res.locals.searchMatch = searchMatch(CATALOGUES.generic, generic, stage, confidence);
+
+        // Find branded alternatives with the same ingredients and strengths
+        const { matches } = metadataFilter(req.query);
+        const { matches: equivalents, matchedBy } = await findEquivalents(generic, CATALOGUES.branded);
+        const branded = equivalents.filter(matches);
+
+        res.locals.cacheTags = searchCacheTags([CATALOGUES.generic, CATALOGUES.branded], [generic, ...branded]);
+        res.json({
+            match: { stage, confidence: Number(confidence.toFixed(4)) },
+            medicine: {
+                ...formatMedicine(CATALOGUES.generic, generic),
+                composition: parseContents(generic.contents)
+            },
+            alternatives: branded.map(b => formatMedicine(CATALOGUES.branded, b)),
+            matchedBy,
+            total: branded.length
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Ranked, paginated fuzzy candidates for a name with their similarity scores
+ */
+function fuzzySearchHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const query = req.query.name;
+            const threshold = fuzzyThreshold(req);
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const offset = parseInt(req.query.offset) || 0;
+
+            const index = await getSearchIndex(catalogue);
+            const { results, total } = index.search(query, { threshold, limit, offset });
+
+            const records = await prisma[catalogue.model].findMany({
+                where: { id: { in: results.map(r => r.id) }, deletedAt: null }
+            });
+            const recordsById = new Map(records.map(r => [r.id, r]));
+
+            res.locals.cacheTags = searchCacheTags([catalogue], records);
+            res.json({
+                query,
+                threshold,
+                candidates: results
+                    .filter(r => recordsById.has(r.id))
+                    .map(r => {
+                        const medicine = recordsById.get(r.id);
+                        return {
+                            id: medicine.id,
+                            name: medicine[catalogue.nameField],
+                            score: Number(r.score.toFixed(4)),
+                            salt: medicine.salt,
+                            type: medicine.type,
+                            packing: medicine.packing,
+                            ptr: medicine.ptr,
+                            mrp: medicine.mrp
+                        };
+                    }),
+                total,
+                limit,
+                offset
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+function fuzzySearchSpec(catalogue) {
+    return {
+        summary: `Ranked fuzzy ${catalogue.kind} name candidates with similarity scores`,
+        tags: ["Search"],
+        query: object({
+            ...SEARCH_QUERY.properties,
+            limit: { type: "integer", minimum: 1, description: "Capped at 100" },
+            offset: { type: "integer", minimum: 0 }
+        }, ["name"]),
+        responses: {
+            200: {
+                description: "Candidates, best first",
+                schema: object({
+                    query: STRING,
+                    threshold: NUMBER,
+                    candidates: arrayOf(object({
+                        id: STRING,
+                        name: STRING,
+                        score: NUMBER,
+                        salt: nullable(STRING),
+                        type: nullable(STRING),
+                        packing: nullable(STRING),
+                        ptr: nullable(NUMBER),
+                        mrp: nullable(NUMBER)
+                    })),
+                    total: INTEGER,
+                    limit: INTEGER,
+                    offset: INTEGER
+                }, ["candidates", "total"])
+            }
+        }
+    };
+}
+
+route("get", "/search/branded/fuzzy", fuzzySearchSpec(CATALOGUES.branded), cacheSearch, fuzzySearchHandler(CATALOGUES.branded));
+route("get", "/search/generic/fuzzy", fuzzySearchSpec(CATALOGUES.generic), cacheSearch, fuzzySearchHandler(CATALOGUES.generic));
+
+// Search by salt/active ingredient
+route("get", "/search/salt", {
+    summary: "Medicines containing an active ingredient, cheapest first",
+    description: "Combinations are written with '+'. Unversioned path: fewer fields per medicine and the count in `totalResults`.",
+    tags: ["Search"],
+    query: object({ name: { type: "string", minLength: 1 }, ...METADATA_FILTERS }, ["name"]),
+    legacy: legacySaltSearch,
+    responses: {
+        200: {
+            description: "Matching medicines",
+            schema: object({
+                salt: STRING,
+                aliases: arrayOf(object({ alias: STRING, canonical: STRING })),
+                generics: arrayOf(ref("Medicine")),
+                branded: arrayOf(ref("Medicine")),
+                total: INTEGER
+            }, ["salt", "generics", "branded", "total"])
+        }
+    },
+    errors: [404]
+}, cacheSearch, async (req, res) => {
+    try {
+        const query = req.query.name;
+
+        let normalizedQuery = query.toUpperCase().trim();
+
+        // Search under canonical names when the query uses a known alias
+        const aliases = [];
+        const canonicalParts = normalizedQuery.split(/\s*\+\s*/).map(part => {
+            const alias = normalizeAlias(part);
+            const canonical = resolveSaltAlias(alias);
+            if (canonical !== alias) aliases.push({ alias, canonical });
+            return canonical;
+        });
+        if (aliases.length > 0) normalizedQuery = canonicalParts.join(" + ");
+
+        const { where: metadata } = metadataFilter(req.query);
+
+        const [generics, branded] = await Promise.all([
+            prisma.genericMedicine.findMany({
+                where: {
+                    salt: {
+                        contains: normalizedQuery,
+                        mode: "insensitive"
+                    },
+                    ...metadata,
+                    deletedAt: null
+                },
+                orderBy: { ptr: 'asc' }
+            }),
+            prisma.brandedMedicine.findMany({
+                where: {
+                    salt: {
+                        contains: normalizedQuery,
+                        mode: "insensitive"
+                    },
+                    ...metadata,
+                    deletedAt: null
+                },
+                orderBy: { ptr: 'asc' }
+            })
+        ]);
+
+        if (generics.length === 0 && branded.length === 0) {
+            return res.status(404).json({ 
+                error: "No medicines found with this active ingredient"
+            });
+        }
+
+        res.locals.cacheTags = searchCacheTags([CATALOGUES.generic, CATALOGUES.branded], [...generics, ...branded]);
+        res.json({
+            salt: normalizedQuery,
+            aliases,
+            generics: generics.map(g => formatMedicine(CATALOGUES.generic, g)),
+            branded: branded.map(b => formatMedicine(CATALOGUES.branded, b)),
+            total: generics.length + branded.length
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// PRESCRIPTION LOOKUP
+// ============================================================================
+
+// Most lines accepted in one prescription request
+const MAX_PRESCRIPTION_LINES = 100;
+
+/**
+ * Cost of replacing `quantity` packs of a branded medicine with a generic,
+ * scaled by pack size when the packings are comparable
+ */
+function equivalentCost(branded, generic, quantity) {
+    const brandedPack = parsePackQuantity(branded.packing);
+    const genericPack = parsePackQuantity(generic.packing);
+
+    if (comparableUnits(brandedPack, genericPack)) {
+        return generic.ptr / genericPack.quantity * brandedPack.quantity * quantity;
+    }
+    return generic.ptr * quantity;
+}
+
+function roundMoney(value) {
+    return Number(value.toFixed(2));
+}
+
+// Resolve every line of a prescription to its preferred or cheapest exact generic and total the basket
+route("post", "/search/prescription", {
+    summary: "Resolve every line of a prescription to a generic and total the basket",
+    tags: ["Search"],
+    query: object({ threshold: SEARCH_QUERY.properties.threshold }),
+    body: object({
+        items: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_PRESCRIPTION_LINES,
+            items: {
+                anyOf: [
+                    { type: "string", description: 'A line such as "2 x Dolo 650" or "Dolo 650 x2"' },
+                    object({ name: STRING, quantity: { type: ["integer", "string"] } }, ["name"])
+                ],
+                description: "a medicine line or { name, quantity }"
+            }
+        },
+        storeId: { type: "string", description: "Recommend generics this store has in stock where possible" }
+    }, ["items"]),
+    responses: {
+        200: {
+            description: "Resolved lines, unresolved lines and basket totals",
+            schema: object({
+                lines: arrayOf(ANY_OBJECT),
+                unresolved: arrayOf(object({ line: INTEGER, input: {}, reason: STRING })),
+                totals: object({
+                    brandedCost: NUMBER,
+                    genericCost: NUMBER,
+                    savings: NUMBER,
+                    savingsPercent: nullable(NUMBER),
+                    resolvedLines: INTEGER,
+                    unresolvedLines: INTEGER
+                }),
+                store: ref("StoreRef")
+            }, ["lines", "unresolved", "totals"])
+        }
+    },
+    errors: [404]
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const items = req.body.items;
+        const threshold = fuzzyThreshold(req);
+
+        let store = null;
+        if (req.body.storeId) {
+            store = await prisma.store.findUnique({ where: { id: req.body.storeId } });
+            if (!store) {
+                return res.status(404).json({ error: "Store not found" });
+            }
+        }
+
+        const results = await Promise.all(items.map(async (item, idx) => {
+            const line = idx + 1;
+            const { name, quantity } = parsePrescriptionLine(item);
+
+            if (!name) {
+                return { line, input: item, unresolved: "Empty medicine name" };
+            }
+
+            const { medicine: branded, stage, confidence } = await resolveMedicine(CATALOGUES.branded, name, { threshold });
+
+            if (!branded) {
+                return { line, input: item, unresolved: "No branded medicine matched" };
+            }
+
+            if (branded.ptr === null) {
+                return { line, input: item, unresolved: `${branded.brandedName} has no PTR` };
+            }
+
+            const { substitutes } = await findSubstitutes(branded, { storeId: store?.id });
+            const substitute = bestSubstitute(substitutes);
+
+            const brandedCost = branded.ptr * quantity;
+            const genericCost = substitute ? equivalentCost(branded, substitute.generic, quantity) : brandedCost;
+
+            return {
+                line,
+                input: item,
+                quantity,
+                match: { stage, confidence: Number(confidence.toFixed(4)) },
+                branded: {
+                    name: branded.brandedName,
+                    salt: branded.salt,
+                    schedule: branded.schedule,
+                    packing: branded.packing,
+                    ptr: branded.ptr
+                },
+                generic: substitute ? {
+                    name: substitute.generic.genericName,
+                    packing: substitute.generic.packing,
+                    ptr: substitute.generic.ptr,
+                    unitPrice: substitute.unitPrice,
+                    ...(substitute.availability && { availability: substitute.availability })
+                } : null,
+                brandedCost: roundMoney(brandedCost),
+                genericCost: roundMoney(genericCost),
+                savings: roundMoney(brandedCost - genericCost)
+            };
+        }));
+
+        const lines = results.filter(r => !r.unresolved);
+        const unresolved = results
+            .filter(r => r.unresolved)
+            .map(r => ({ line: r.line, input: r.input, reason: r.unresolved }));
+
+        const brandedCost = lines.reduce((sum, l) => sum + l.brandedCost, 0);
+        const genericCost = lines.reduce((sum, l) => sum + l.genericCost, 0);
+
+        res.json({
+            lines,
+            unresolved,
+            totals: {
+                brandedCost: roundMoney(brandedCost),
+                genericCost: roundMoney(genericCost),
+                savings: roundMoney(brandedCost - genericCost),
+                savingsPercent: brandedCost > 0 ? roundMoney((brandedCost - genericCost) / brandedCost * 100) : null,
+                resolvedLines: lines.length,
+                unresolvedLines: unresolved.length
+            },
+            ...(store && { store: formatStoreRef(store) })
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// AUTOCOMPLETE
+// ============================================================================
+
+// Tie-break order when suggestions of different kinds score the same
+const SUGGESTION_KINDS = ["branded", "generic", "salt"];
+
+// Typeahead across branded names, generic names and salts - served from memory
+route("get", "/suggest", {
+    summary: "Typeahead across branded names, generic names and salts",
+    tags: ["Search"],
+    query: object({
+        q: { type: "string", minLength: 1 },
+        limit: { type: "integer", minimum: 1, description: "Capped at 50" },
+        type: { type: "string", description: "Only medicines of this dosage form" }
+    }, ["q"]),
+    responses: {
+        200: {
+            description: "Suggestions, best first",
+            schema: object({
+                query: STRING,
+                suggestions: arrayOf(object({
+                    kind: { type: "string", enum: SUGGESTION_KINDS },
+                    name: STRING,
+                    type: nullable(STRING),
+                    score: NUMBER
+                })),
+                total: INTEGER
+            }, ["query", "suggestions", "total"])
+        }
+    }
+}, async (req, res) => {
+    try {
+        const query = req.query.q;
+
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const type = req.query.type ? String(req.query.type).toUpperCase() : null;
+
+        const [brandedIndex, genericIndex, saltIndex] = await Promise.all([
+            getSearchIndex(CATALOGUES.branded),
+            getSearchIndex(CATALOGUES.generic),
+            getSaltIndex()
+        ]);
+
+        const nameFilter = type ? meta => meta.type === type : undefined;
+        const saltFilter = type ? meta => meta.types.has(type) : undefined;
+
+        const suggestions = [
+            ...brandedIndex.suggest(query, { limit, filter: nameFilter })
+                .map(s => ({ kind: "branded", name: s.name, type: s.meta.type, score: s.score })),
+            ...genericIndex.suggest(query, { limit, filter: nameFilter })
+                .map(s => ({ kind: "generic", name: s.name, type: s.meta.type, score: s.score })),
+            ...saltIndex.suggest(query, { limit, filter: saltFilter })
+                .map(s => ({ kind: "salt", name: s.name, type: null, score: s.score }))
+        ]
+            .sort((a, b) =>
+                b.score - a.score ||
+                SUGGESTION_KINDS.indexOf(a.kind) - SUGGESTION_KINDS.indexOf(b.kind) ||
+                a.name.length - b.name.length
+            )
+            .slice(0, limit)
+            .map(s => ({ ...s, score: Number(s.score.toFixed(4)) }));
+
+        res.json({
+            query,
+            suggestions,
+            total: suggestions.length
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// CATALOGUE ENDPOINTS
+// ============================================================================
+
+// Request fields accepted for a medicine and the upload column each is validated as.
+// salt, type and the composition keys are always derived, as they are for uploads.
+const MEDICINE_INPUT_FIELDS = {
+    name: "PRODUCT NAME",
+    contents: "CONTENTS",
+    packing: "PACKING",
+    ptr: "PTR",
+    mrp: "MRP",
+    shipperSize: "SHIPPER SIZE",
+    manufacturer: "MANUFACTURER",
+    schedule: "SCHEDULE",
+    hsnCode: "HSN CODE",
+    gstRate: "GST RATE"
+};
+
+// Fields that ?sort= and ?missing= accept
+const MEDICINE_SORT_FIELDS = ["name", "type", "ptr", "mrp", "manufacturer"];
+const MEDICINE_MISSING_FIELDS = [
+    "salt", "contents", "type", "packing", "ptr", "mrp", "shipperSize",
+    "manufacturer", "schedule", "hsnCode", "gstRate"
+];
+
+// Price range filters: query parameter -> [field, comparison]
+const MEDICINE_PRICE_FILTERS = {
+    minPtr: ["ptr", "gte"],
+    maxPtr: ["ptr", "lte"],
+    minMrp: ["mrp", "gte"],
+    maxMrp: ["mrp", "lte"]
+};
+
+/**
+ * Medicine as returned by the catalogue endpoints
+ */
+function formatMedicine(catalogue, medicine) {
+    return {
+        id: medicine.id,
+        name: medicine[catalogue.nameField],
+        salt: medicine.salt,
+        contents: medicine.contents,
+        type: medicine.type,
+        packing: medicine.packing,
+        ptr: medicine.ptr,
+        mrp: medicine.mrp,
+        unitPrice: unitPrice(medicine),
+        shipperSize: medicine.shipperSize,
+        manufacturer: medicine.manufacturer,
+        schedule: medicine.schedule,
+        hsnCode: medicine.hsnCode,
+        gstRate: medicine.gstRate,
+        deletedAt: medicine.deletedAt
+    };
+}
+
+/**
+ * Validate a create/patch body through the same parsing as an upload row.
+ * For a patch, fields missing from the body keep their current values.
+ */
+function parseMedicineInput(catalogue, body, current = null) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return { errors: ["Body must be a JSON object"], warnings: [] };
+    }
+
+    const unknown = Object.keys(body).filter(field => !(field in MEDICINE_INPUT_FIELDS));
+    if (unknown.length > 0) {
+        return {
+            errors: [`Unknown field(s): ${unknown.join(", ")}. Accepted: ${Object.keys(MEDICINE_INPUT_FIELDS).join(", ")}`],
+            warnings: []
+        };
+    }
+
+    const row = {};
+    for (const [field, column] of Object.entries(MEDICINE_INPUT_FIELDS)) {
+        if (field in body) row[column] = body[field];
+        else if (current) row[column] = field === "name" ? current[catalogue.nameField] : current[field];
+    }
+
+    const parsed = parseUploadRow(row);
+    if (!parsed.name) parsed.errors.unshift("name is required");
+    return parsed;
+}
+
+/**
+ * Where/orderBy for a catalogue listing, or { error } for an invalid filter
+ */
+function medicineListQuery(catalogue, query) {
+    const where = query.includeDeleted === "true" ? {} : { deletedAt: null };
+
+    if (query.name) where[catalogue.nameField] = { contains: String(query.name), mode: "insensitive" };
+    if (query.salt) where.salt = { contains: String(query.salt), mode: "insensitive" };
+    if (query.type) where.type = { in: String(query.type).toUpperCase().split(",").map(t => t.trim()) };
+    Object.assign(where, metadataFilter(query).where);
+
+    for (const [param, [field, comparison]] of Object.entries(MEDICINE_PRICE_FILTERS)) {
+        if (query[param] === undefined) continue;
+
+        const value = parseFloat(query[param]);
+        if (Number.isNaN(value)) return { error: `${param} must be a number` };
+        where[field] = { ...where[field], [comparison]: value };
+    }
+
+    // ?missing=ptr,mrp - records lacking any of the listed fields
+    if (query.missing) {
+        const fields = String(query.missing).split(",").map(f => f.trim());
+        const invalid = fields.filter(f => !MEDICINE_MISSING_FIELDS.includes(f));
+        if (invalid.length > 0) {
+            return { error: `missing accepts: ${MEDICINE_MISSING_FIELDS.join(", ")}` };
+        }
+        where.OR = fields.map(field => ({ [field]: null }));
+    }
+
+    // ?sort=ptr or ?sort=-ptr, always tie-broken by id so the cursor is stable
+    const sort = String(query.sort ?? "name");
+    const direction = sort.startsWith("-") ? "desc" : "asc";
+    const sortField = sort.replace(/^-/, "");
+    if (!MEDICINE_SORT_FIELDS.includes(sortField)) {
+        return { error: `sort must be one of: ${MEDICINE_SORT_FIELDS.join(", ")} (prefix with - for descending)` };
+    }
+
+    const orderBy = sortField === "name"
+        ? [{ [catalogue.nameField]: direction }, { id: "asc" }]
+        : [{ [sortField]: { sort: direction, nulls: "last" } }, { id: "asc" }];
+
+    return { where, orderBy };
+}
+
+/**
+ * Medicine by id, excluding deleted ones unless asked for
+ */
+async function findMedicine(catalogue, id, { includeDeleted = false } = {}) {
+    return prisma[catalogue.model].findUnique({
+        where: { id, ...(!includeDeleted && { deletedAt: null }) }
+    });
+}
+
+// List with cursor pagination - pass nextCursor back as ?cursor= for the next page
+function listMedicinesHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const { where, orderBy, error } = medicineListQuery(catalogue, req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const cursor = req.query.cursor ? String(req.query.cursor) : null;
+
+            const [records, total] = await Promise.all([
+                prisma[catalogue.model].findMany({
+                    where,
+                    orderBy,
+                    take: limit + 1,
+                    ...(cursor && { cursor: { id: cursor }, skip: 1 })
+                }),
+                prisma[catalogue.model].count({ where })
+            ]);
+
+            const page = records.slice(0, limit);
+
+            res.json({
+                medicines: page.map(m => formatMedicine(catalogue, m)),
+                total,
+                limit,
+                nextCursor: records.length > limit ? page[page.length - 1].id : null
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+function getMedicineHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const medicine = await findMedicine(catalogue, req.params.id, {
+                includeDeleted: req.query.includeDeleted === "true"
+            });
+
+            if (!medicine) {
+                return res.status(404).json({ error: `${catalogue.label} medicine not found` });
+            }
+
+            res.json({
+                ...formatMedicine(catalogue, medicine),
+                composition: parseContents(medicine.contents)
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+// Create a medicine. Creating over a deleted medicine's name restores it with the new values.
+function createMedicineHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const { name, data, errors, warnings } = parseMedicineInput(catalogue, req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: "Invalid medicine", errors, warnings });
+            }
+
+            const existing = await prisma[catalogue.model].findUnique({
+                where: { [catalogue.nameField]: name }
+            });
+
+            if (existing && !existing.deletedAt) {
+                return res.status(409).json({ error: `${catalogue.label} medicine already exists`, id: existing.id });
+            }
+
+            const medicine = await prisma.$transaction(async (tx) => {
+                const record = existing
+                    ? await tx[catalogue.model].update({
+                        where: { id: existing.id },
+                        data: { ...data, deletedAt: null }
+                    })
+                    : await tx[catalogue.model].create({
+                        data: { [catalogue.nameField]: name, ...data }
+                    });
+
+                if (existing) {
+                    await tx.compositionComponent.deleteMany({ where: { [catalogue.relationField]: record.id } });
+                }
+                await tx.compositionComponent.createMany({
+                    data: componentRecords(catalogue, record.id, record.contents)
+                });
+
+                if ((existing?.ptr ?? null) !== record.ptr || (existing?.mrp ?? null) !== record.mrp) {
+                    await tx.priceHistory.create({
+                        data: priceHistoryEntry(catalogue, record.id, existing ?? {}, record, null)
+                    });
+                }
+
+                return record;
+            });
+
+            await indexMedicines(catalogue, [medicine]);
+            notifyCatalogueChanges(catalogue, { created: [medicineEvent(catalogue, medicine)] });
+
+            res.locals.auditTargetId = medicine.id;
+            res.locals.auditDetails = { name, restored: Boolean(existing) };
+            res.status(201).json({ ...formatMedicine(catalogue, medicine), warnings });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+// Change some fields of a medicine; derived fields are recomputed
+function patchMedicineHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const current = await findMedicine(catalogue, req.params.id);
+            if (!current) {
+                return res.status(404).json({ error: `${catalogue.label} medicine not found` });
+            }
+
+            const { name, data, errors, warnings } = parseMedicineInput(catalogue, req.body, current);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: "Invalid medicine", errors, warnings });
+            }
+
+            const changes = diffMedicine(current, data);
+            const renamed = name !== current[catalogue.nameField];
+
+            if (renamed) {
+                const clash = await prisma[catalogue.model].findUnique({
+                    where: { [catalogue.nameField]: name }
+                });
+                if (clash) {
+                    return res.status(409).json({ error: `${catalogue.label} medicine name already exists`, id: clash.id });
+                }
+                changes.name = { from: current[catalogue.nameField], to: name };
+            }
+
+            if (Object.keys(changes).length === 0) {
+                return res.json({ ...formatMedicine(catalogue, current), changes, warnings });
+            }
+
+            const update = Object.fromEntries(Object.entries(changes)
+                .filter(([field]) => field !== "name")
+                .map(([field, { to }]) => [field, to]));
+            if (renamed) update[catalogue.nameField] = name;
+
+            if (changes.contents) {
+                update.components = {
+                    deleteMany: {},
+                    create: parseContents(data.contents).map((c, position) => ({ ...c, position }))
+                };
+            }
+
+            const medicine = await prisma.$transaction(async (tx) => {
+                const record = await tx[catalogue.model].update({
+                    where: { id: current.id },
+                    data: update
+                });
+
+                if (changes.ptr || changes.mrp) {
+                    await tx.priceHistory.create({
+                        data: priceHistoryEntry(catalogue, record.id, current, record, null)
+                    });
+                }
+
+                return record;
+            });
+
+            await indexMedicines(catalogue, [medicine], { membership: changesSearchMembership(changes) });
+
+            if (changes.ptr || changes.mrp) {
+                notifyCatalogueChanges(catalogue, { priceChanges: [priceChangeEvent(catalogue, current, medicine)] });
+            }
+
+            res.locals.auditDetails = { changes };
+            res.json({ ...formatMedicine(catalogue, medicine), changes, warnings });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+// Soft-delete: the record is hidden from search and listings but keeps its history
+function deleteMedicineHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const current = await findMedicine(catalogue, req.params.id);
+            if (!current) {
+                return res.status(404).json({ error: `${catalogue.label} medicine not found` });
+            }
+
+            await prisma[catalogue.model].update({
+                where: { id: current.id },
+                data: { deletedAt: new Date() }
+            });
+
+            await unindexMedicines(catalogue, [current.id]);
+            notifyCatalogueChanges(catalogue, { deleted: [medicineEvent(catalogue, current)] });
+
+            res.json({ success: true, message: `${catalogue.label} medicine deleted` });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+const INCLUDE_DELETED = { type: "string", enum: ["true", "false"], description: "Include soft-deleted medicines" };
+const MEDICINE_CHANGES = { type: "object", additionalProperties: object({ from: {}, to: {} }), description: "Field -> { from, to }" };
+
+function listMedicinesSpec(catalogue) {
+    return {
+        summary: `List ${catalogue.kind} medicines with filters and cursor pagination`,
+        tags: ["Catalogue"],
+        query: object({
+            name: STRING,
+            salt: STRING,
+            type: { type: "string", description: "Dosage form, or several separated by commas" },
+            ...Object.fromEntries(Object.keys(MEDICINE_PRICE_FILTERS).map(param => [param, NUMBER])),
+            ...METADATA_FILTERS,
+            missing: { type: "string", description: `Comma-separated fields that must be empty: ${MEDICINE_MISSING_FIELDS.join(", ")}` },
+            sort: { type: "string", enum: MEDICINE_SORT_FIELDS.flatMap(field => [field, `-${field}`]) },
+            limit: { type: "integer", minimum: 1, description: "Page size, capped at 200" },
+            cursor: { type: "string", description: "nextCursor of the previous page" },
+            includeDeleted: INCLUDE_DELETED
+        }),
+        responses: {
+            200: {
+                description: "One page of medicines",
+                schema: object({
+                    medicines: arrayOf(ref("Medicine")),
+                    total: INTEGER,
+                    limit: INTEGER,
+                    nextCursor: nullable(STRING)
+                }, ["medicines", "total", "nextCursor"])
+            }
+        }
+    };
+}
+
+function getMedicineSpec(catalogue) {
+    return {
+        summary: `Get a ${catalogue.kind} medicine with its parsed composition`,
+        tags: ["Catalogue"],
+        params: ID_PARAMS,
+        query: object({ includeDeleted: INCLUDE_DELETED }),
+        responses: {
+            200: {
+                description: "The medicine",
+                schema: { allOf: [ref("Medicine"), object({ composition: arrayOf(ref("Component")) })] }
+            }
+        },
+        errors: [404]
+    };
+}
+
+function createMedicineSpec(catalogue) {
+    return {
+        summary: `Create a ${catalogue.kind} medicine, restoring a deleted one of the same name`,
+        description: "Fields are parsed like an upload row; salt, type and the composition keys are derived.",
+        tags: ["Catalogue"],
+        body: { allOf: [ref("MedicineInput")], required: ["name"] },
+        responses: {
+            201: {
+                description: "The created medicine",
+                schema: { allOf: [ref("Medicine"), object({ warnings: arrayOf(STRING) })] }
+            }
+        },
+        errors: [409]
+    };
+}
+
+function patchMedicineSpec(catalogue) {
+    return {
+        summary: `Change fields of a ${catalogue.kind} medicine`,
+        tags: ["Catalogue"],
+        params: ID_PARAMS,
+        body: ref("MedicineInput"),
+        responses: {
+            200: {
+                description: "The medicine and what changed",
+                schema: { allOf: [ref("Medicine"), object({ changes: MEDICINE_CHANGES, warnings: arrayOf(STRING) })] }
+            }
+        },
+        errors: [404, 409]
+    };
+}
+
+function deleteMedicineSpec(catalogue) {
+    return {
+        summary: `Soft-delete a ${catalogue.kind} medicine`,
+        tags: ["Catalogue"],
+        params: ID_PARAMS,
+        responses: { 200: { description: "Deleted", schema: SUCCESS } },
+        errors: [404]
+    };
+}
+
+route("get", "/medicines/generic", listMedicinesSpec(CATALOGUES.generic), listMedicinesHandler(CATALOGUES.generic));
+route("get", "/medicines/branded", listMedicinesSpec(CATALOGUES.branded), listMedicinesHandler(CATALOGUES.branded));
+
+route("get", "/medicines/generic/:id", getMedicineSpec(CATALOGUES.generic), getMedicineHandler(CATALOGUES.generic));
+route("get", "/medicines/branded/:id", getMedicineSpec(CATALOGUES.branded), getMedicineHandler(CATALOGUES.branded));
+
+route("post", "/medicines/generic", createMedicineSpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), audit("generic.create"), createMedicineHandler(CATALOGUES.generic));
+route("post", "/medicines/branded", createMedicineSpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), audit("branded.create"), createMedicineHandler(CATALOGUES.branded));
+
+route("patch", "/medicines/generic/:id", patchMedicineSpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), audit("generic.update"), patchMedicineHandler(CATALOGUES.generic));
+route("patch", "/medicines/branded/:id", patchMedicineSpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), audit("branded.update"), patchMedicineHandler(CATALOGUES.branded));
+
+route("delete", "/medicines/generic/:id", deleteMedicineSpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), audit("generic.delete"), deleteMedicineHandler(CATALOGUES.generic));
+route("delete", "/medicines/branded/:id", deleteMedicineSpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), audit("branded.delete"), deleteMedicineHandler(CATALOGUES.branded));
+
+// ============================================================================
+// DATA QUALITY ENDPOINTS
+// ============================================================================
+
+// Sample rows returned per anomaly report by default, and at most
+const QUALITY_SAMPLE_SIZE = 10;
+const MAX_QUALITY_SAMPLE_SIZE = 100;
+
+// Fields a merge copies from the merged records when the kept one lacks them
+const MERGE_FILL_FIELDS = ["contents", "packing", "ptr", "mrp", "shipperSize"];
+
+/**
+ * Key under which names differing only in spacing, punctuation or
+ * TAB/TABLET-style dosage spellings collide
+ */
+function duplicateKey(name) {
+    return normalizeString(name)
+        .replace(/\bTABLETS\b|\bTABS\b/g, "TAB")
+        .replace(/\bCAPSULES\b|\bCAPS\b/g, "CAP")
+        .replace(/[^A-Z0-9]/g, "");
+}
+
+/**
+ * Anomaly counts and sample rows for one catalogue
+ */
+async function qualityReport(catalogue, sampleSize) {
+    const report = (description) => ({ description, count: 0, samples: [] });
+    const reports = {
+        missingSalt: report("No salt could be extracted from CONTENTS"),
+        unknownType: report("Dosage form could not be detected from the name"),
+        mrpBelowPtr: report("MRP is lower than PTR"),
+        nearDuplicates: report("Names that differ only in spacing, punctuation or TAB/TABLET-style spellings")
+    };
+
+    let withoutGeneric = null;
+    if (catalogue.kind === "branded") {
+        reports.withoutGeneric = report("No generic shares the ingredients or salt and no mapping exists");
+        withoutGeneric = await alternativeFilter(catalogue, "false");
+    }
+
+    const flag = (name, medicine) => {
+        const entry = reports[name];
+        entry.count++;
+        if (entry.samples.length < sampleSize) entry.samples.push(formatMedicine(catalogue, medicine));
+    };
+
+    const byKey = new Map();
+    let total = 0;
+
+    for await (const page of medicinePages(catalogue, { deletedAt: null })) {
+        total += page.length;
+
+        for (const medicine of page) {
+            if (!medicine.salt) flag("missingSalt", medicine);
+            if (medicine.type === "OTHER") flag("unknownType", medicine);
+            if (medicine.ptr !== null && medicine.mrp !== null && medicine.mrp < medicine.ptr) flag("mrpBelowPtr", medicine);
+            if (withoutGeneric?.(medicine)) flag("withoutGeneric", medicine);
+
+            const key = duplicateKey(medicine[catalogue.nameField]);
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(medicine);
+        }
+    }
+
+    for (const [key, medicines] of byKey) {
+        if (medicines.length < 2) continue;
+
+        reports.nearDuplicates.count++;
+        if (reports.nearDuplicates.samples.length < sampleSize) {
+            reports.nearDuplicates.samples.push({ key, medicines: medicines.map(m => formatMedicine(catalogue, m)) });
+        }
+    }
+
+    return { total, reports };
+}
+
+// Anomaly reports for both catalogues, with up to ?samples= example rows each
+const QUALITY_REPORT = object({
+    total: INTEGER,
+    reports: {
+        type: "object",
+        additionalProperties: object({ description: STRING, count: INTEGER, samples: arrayOf({}) }),
+        description: "missingSalt, unknownType, mrpBelowPtr, nearDuplicates and, for branded, withoutGeneric"
+    }
+}, ["total", "reports"]);
+
+route("get", "/quality", {
+    summary: "Anomaly counts and sample rows for both catalogues",
+    tags: ["Data quality"],
+    query: object({ samples: { type: "integer", minimum: 1, description: `Sample rows per report, default ${QUALITY_SAMPLE_SIZE}, capped at ${MAX_QUALITY_SAMPLE_SIZE}` } }),
+    responses: {
+        200: {
+            description: "Reports per catalogue",
+            schema: object({ generatedAt: DATE_TIME, generic: QUALITY_REPORT, branded: QUALITY_REPORT }, ["generatedAt", "generic", "branded"])
+        }
+    }
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const sampleSize = Math.min(parseInt(req.query.samples) || QUALITY_SAMPLE_SIZE, MAX_QUALITY_SAMPLE_SIZE);
+
+        const generic = await qualityReport(CATALOGUES.generic, sampleSize);
+        const branded = await qualityReport(CATALOGUES.branded, sampleSize);
+
+        res.json({ generatedAt: new Date().toISOString(), generic, branded });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Merge duplicates into one record and/or give it a corrected name, in one
+ * transaction. Fields the kept record lacks are filled from the merged ones,
+ * their price history, mappings and stock levels move over, and the merged
+ * rows are deleted.
+ */
+function mergeDuplicatesHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const { keepId, mergeIds = [], name } = req.body;
+
+            if (mergeIds.includes(keepId)) {
+                return res.status(400).json({ error: "mergeIds must be an array of other medicine ids" });
+            }
+            if (mergeIds.length === 0 && !name) {
+                return res.status(400).json({ error: "Provide mergeIds to merge, name to rename, or both" });
+            }
+
+            const ids = [keepId, ...new Set(mergeIds)];
+            const records = await prisma[catalogue.model].findMany({
+                where: { id: { in: ids }, deletedAt: null }
+            });
+
+            const missing = ids.filter(id => !records.some(r => r.id === id));
+            if (missing.length > 0) {
+                return res.status(404).json({ error: `${catalogue.label} medicine not found`, ids: missing });
+            }
+
+            const keep = records.find(r => r.id === keepId);
+            const merged = ids.slice(1).map(id => records.find(r => r.id === id));
+            const newName = name ? String(name).trim() : keep[catalogue.nameField];
+
+            if (newName !== keep[catalogue.nameField]) {
+                const clash = await prisma[catalogue.model].findUnique({
+                    where: { [catalogue.nameField]: newName }
+                });
+                if (clash && !merged.some(m => m.id === clash.id)) {
+                    return res.status(409).json({ error: `${catalogue.label} medicine name already exists`, id: clash.id });
+                }
+            }
+
+            const fill = {};
+            for (const field of MERGE_FILL_FIELDS) {
+                if (keep[field] !== null) continue;
+                const source = merged.find(m => m[field] !== null);
+                if (source) fill[field] = source[field];
+            }
+
+            const other = catalogue.kind === "branded" ? CATALOGUES.generic : CATALOGUES.branded;
+            const mergedIds = merged.map(m => m.id);
+
+            const result = await prisma.$transaction(async (tx) => {
+                // Mappings move to the kept record unless it already links the same
+                // medicine, and a brand keeps at most one preferred generic
+                const keptMappings = new Map((await tx.substitutionMapping.findMany({
+                    where: { [catalogue.relationField]: keep.id }
+                })).map(m => [m[other.relationField], m]));
+
+                const mergedMappings = await tx.substitutionMapping.findMany({
+                    where: { [catalogue.relationField]: { in: mergedIds } },
+                    orderBy: { preferred: "desc" }
+                });
+
+                let hasPreferred = [...keptMappings.values()].some(m => m.preferred);
+                let mappingsMoved = 0;
+
+                for (const mapping of mergedMappings) {
+                    const existing = keptMappings.get(mapping[other.relationField]);
+
+                    if (existing) {
+                        if (mapping.preferred && !existing.preferred && catalogue.kind === "generic") {
+                            await tx.substitutionMapping.update({ where: { id: existing.id }, data: { preferred: true } });
+                        }
+                        continue;
+                    }
+
+                    const preferred = mapping.preferred && (catalogue.kind === "generic" || !hasPreferred);
+                    if (preferred) hasPreferred = true;
+
+                    const moved = await tx.substitutionMapping.update({
+                        where: { id: mapping.id },
+                        data: { [catalogue.relationField]: keep.id, preferred }
+                    });
+                    keptMappings.set(moved[other.relationField], moved);
+                    mappingsMoved++;
+                }
+
+                const { count: priceHistoryMoved } = await tx.priceHistory.updateMany({
+                    where: { [catalogue.relationField]: { in: mergedIds } },
+                    data: { [catalogue.relationField]: keep.id }
+                });
+
+                // Stock moves to the kept generic; where a store already stocks it the
+                // counts are added together so no store loses stock
+                let stockMoved = 0;
+                const stockStoreIds = new Set();
+
+                if (catalogue.kind === "generic") {
+                    const keptStock = new Map((await tx.stockLevel.findMany({
+                        where: { genericId: keep.id }
+                    })).map(level => [level.storeId, level]));
+
+                    const mergedStock = await tx.stockLevel.findMany({ where: { genericId: { in: mergedIds } } });
+
+                    for (const level of mergedStock) {
+                        const existing = keptStock.get(level.storeId);
+
+                        if (existing) {
+                            await tx.stockLevel.delete({ where: { id: level.id } });
+                            keptStock.set(level.storeId, await tx.stockLevel.update({
+                                where: { id: existing.id },
+                                data: {
+                                    quantity: existing.quantity + level.quantity,
+                                    reorderLevel: existing.reorderLevel ?? level.reorderLevel
+                                }
+                            }));
+                        } else {
+                            keptStock.set(level.storeId, await tx.stockLevel.update({
+                                where: { id: level.id },
+                                data: { genericId: keep.id }
+                            }));
+                        }
+
+                        stockStoreIds.add(level.storeId);
+                        stockMoved++;
+                    }
+                }
+
+                // Frees the merged names before the kept record can take one of them
+                await tx[catalogue.model].deleteMany({ where: { id: { in: mergedIds } } });
+
+                const data = { ...fill };
+                if (newName !== keep[catalogue.nameField]) {
+                    data[catalogue.nameField] = newName;
+                    data.type = detectType(newName);
+                }
+                if (fill.contents) {
+                    const components = parseContents(fill.contents);
+                    data.salt = saltFromComposition(components);
+                    data.compositionKey = compositionKey(components);
+                    data.ingredientKey = ingredientKey(components);
+                    data.components = {
+                        deleteMany: {},
+                        create: components.map((c, position) => ({ ...c, position }))
+                    };
+                }
+
+                const record = await tx[catalogue.model].update({ where: { id: keep.id }, data });
+
+                if ("ptr" in fill || "mrp" in fill) {
+                    await tx.priceHistory.create({
+                        data: priceHistoryEntry(catalogue, record.id, keep, record, null)
+                    });
+                }
+
+                return { record, mappingsMoved, priceHistoryMoved, stockMoved, stockStoreIds };
+            });
+
+            invalidateSearches([...result.stockStoreIds].map(stockCacheTag));
+            await unindexMedicines(catalogue, mergedIds);
+            await indexMedicines(catalogue, [result.record]);
+
+            notifyCatalogueChanges(catalogue, {
+                deleted: merged.map(m => medicineEvent(catalogue, m)),
+                priceChanges: "ptr" in fill || "mrp" in fill ? [priceChangeEvent(catalogue, keep, result.record)] : []
+            }, { mergedInto: keep.id });
+
+            res.locals.auditTargetId = keep.id;
+            res.locals.auditDetails = {
+                merged: merged.map(m => ({ id: m.id, name: m[catalogue.nameField] })),
+                renamed: newName !== keep[catalogue.nameField] ? { from: keep[catalogue.nameField], to: newName } : null,
+                filled: Object.keys(fill)
+            };
+
+            res.json({
+                medicine: formatMedicine(catalogue, result.record),
+                merged: merged.map(m => m[catalogue.nameField]),
+                filled: Object.keys(fill),
+                mappingsMoved: result.mappingsMoved,
+                priceHistoryMoved: result.priceHistoryMoved,
+                stockMoved: result.stockMoved
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+function mergeDuplicatesSpec(catalogue) {
+    return {
+        summary: `Merge duplicate ${catalogue.kind} medicines into one and/or rename it`,
+        tags: ["Data quality"],
+        body: object({
+            keepId: STRING,
+            mergeIds: arrayOf(STRING, { description: "Records folded into keepId and deleted" }),
+            name: { type: "string", minLength: 1, description: "Corrected name for the kept record" }
+        }, ["keepId"]),
+        responses: {
+            200: {
+                description: "The kept medicine and what moved onto it",
+                schema: object({
+                    medicine: ref("Medicine"),
+                    merged: arrayOf(STRING),
+                    filled: arrayOf(STRING),
+                    mappingsMoved: INTEGER,
+                    priceHistoryMoved: INTEGER,
+                    stockMoved: { type: "integer", description: "Stock levels moved or added to the kept generic's" }
+                }, ["medicine", "merged", "filled"])
+            }
+        },
+        errors: [404, 409]
+    };
+}
+
+route("post", "/quality/generic/merge", mergeDuplicatesSpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), audit("generic.merge"), mergeDuplicatesHandler(CATALOGUES.generic));
+route("post", "/quality/branded/merge", mergeDuplicatesSpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), audit("branded.merge"), mergeDuplicatesHandler(CATALOGUES.branded));
+
+// Changed rows listed in a reclassify response; the counts always cover every row
+const MAX_RECLASSIFY_CHANGES = 500;
+
+/**
+ * Re-run the dosage form rules over a catalogue's stored names and report
+ * what changed. The rules file is reloaded first, so edits take effect here.
+ * With { "dryRun": true } nothing is written.
+ */
+function reclassifyHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const dryRun = req.body?.dryRun === true;
+
+            try {
+                reloadDosageForms();
+            } catch (error) {
+                return res.status(500).json({ error: `Could not load dosage form rules: ${error.message}` });
+            }
+
+            const changed = [];
+            const transitions = {};
+            let checked = 0;
+
+            for await (const page of medicinePages(catalogue, { deletedAt: null })) {
+                checked += page.length;
+
+                for (const medicine of page) {
+                    const { form, confidence } = dosageClassifier.classify(medicine[catalogue.nameField]);
+                    if (form === medicine.type) continue;
+
+                    changed.push({ medicine, from: medicine.type, to: form, confidence });
+                    const transition = `${medicine.type} -> ${form}`;
+                    transitions[transition] = (transitions[transition] ?? 0) + 1;
+                }
+            }
+
+            if (!dryRun && changed.length > 0) {
+                const idsByForm = new Map();
+                for (const { medicine, to } of changed) {
+                    if (!idsByForm.has(to)) idsByForm.set(to, []);
+                    idsByForm.get(to).push(medicine.id);
+                }
+
+                await prisma.$transaction(async (tx) => {
+                    for (const [form, ids] of idsByForm) {
+                        for (let i = 0; i < ids.length; i += IMPORT_BATCH_SIZE) {
+                            await tx[catalogue.model].updateMany({
+                                where: { id: { in: ids.slice(i, i + IMPORT_BATCH_SIZE) } },
+                                data: { type: form }
+                            });
+                        }
+                    }
+                }, { timeout: IMPORT_TX_TIMEOUT_MS });
+
+                await indexMedicines(catalogue, changed.map(({ medicine, to }) => ({ ...medicine, type: to })));
+
+                // The salt index only ever adds forms, so drop it to forget the old ones
+                delete searchIndexes[SALT_INDEX];
+            }
+
+            if (!dryRun) {
+                res.locals.auditDetails = { rulesVersion: dosageClassifier.version, changed: changed.length, transitions };
+            }
+
+            res.json({
+                dryRun,
+                rulesVersion: dosageClassifier.version,
+                checked,
+                changed: changed.length,
+                transitions,
+                changes: changed.slice(0, MAX_RECLASSIFY_CHANGES).map(({ medicine, from, to, confidence }) => ({
+                    id: medicine.id,
+                    name: medicine[catalogue.nameField],
+                    from,
+                    to,
+                    confidence
+                }))
+            });
+
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+function reclassifySpec(catalogue) {
+    return {
+        summary: `Re-run the dosage form rules over ${catalogue.kind} names`,
+        tags: ["Data quality"],
+        body: object({ dryRun: { type: "boolean", description: "Report without writing" } }),
+        bodyOptional: true,
+        responses: {
+            200: {
+                description: "Counts per transition and the changed rows",
+                schema: object({
+                    dryRun: BOOLEAN,
+                    rulesVersion: nullable({ type: ["integer", "string"] }),
+                    checked: INTEGER,
+                    changed: INTEGER,
+                    transitions: { type: "object", additionalProperties: INTEGER, description: '"OLD -> NEW" -> rows' },
+                    changes: arrayOf(object({ id: STRING, name: STRING, from: nullable(STRING), to: STRING, confidence: NUMBER }), {
+                        description: `At most ${MAX_RECLASSIFY_CHANGES}`
+                    })
+                }, ["dryRun", "checked", "changed", "transitions", "changes"])
+            }
+        }
+    };
+}
+
+route("post", "/quality/generic/reclassify", reclassifySpec(CATALOGUES.generic), requireRole(ROLES.ADMIN), audit("generic.reclassify"), reclassifyHandler(CATALOGUES.generic));
+route("post", "/quality/branded/reclassify", reclassifySpec(CATALOGUES.branded), requireRole(ROLES.ADMIN), audit("branded.reclassify"), reclassifyHandler(CATALOGUES.branded));
+
+// Loaded dosage forms, and how ?name= would be classified - for tuning the rules file
+route("get", "/dosage-forms", {
+    summary: "Loaded dosage forms, and how a name would be classified",
+    tags: ["Data quality"],
+    query: object({ name: STRING }),
+    responses: {
+        200: {
+            description: "Rules version and forms; with ?name= also the classification",
+            schema: object({
+                rulesVersion: nullable({ type: ["integer", "string"] }),
+                forms: arrayOf(STRING),
+                name: STRING,
+                form: STRING,
+                confidence: NUMBER
+            }, ["forms"])
+        }
+    }
+}, (req, res) => {
+    res.json({
+        rulesVersion: dosageClassifier.version,
+        forms: dosageClassifier.forms,
+        ...(req.query.name && { name: req.query.name, ...dosageClassifier.classify(req.query.name) })
+    });
+});
+
+// ============================================================================
+// SEARCH ANALYTICS ENDPOINTS
+// ============================================================================
+
+// Fuzzy matches scoring below this are reported as low confidence by default
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) || 0.8;
+
+/**
+ * Search log filter for the report query: catalogue kind and time window
+ */
+function searchLogWhere(query) {
+    const where = {};
+    if (query.kind) where.kind = query.kind;
+    if (query.from || query.to) {
+        where.createdAt = {
+            ...(query.from && { gte: new Date(query.from) }),
+            ...(query.to && { lt: new Date(query.to) })
+        };
+    }
+    return where;
+}
+
+const SEARCH_REPORT_QUERY = {
+    kind: { type: "string", enum: Object.keys(CATALOGUES), description: "Only searches of this catalogue" },
+    from: { ...DATE_TIME, description: "Searches at or after this time" },
+    to: { ...DATE_TIME, description: "Searches before this time" },
+    limit: { type: "integer", minimum: 1, description: "Queries to return, capped at 200" }
+};
+
+// Most searched queries, with how often they found nothing
+route("get", "/analytics/searches/top", {
+    summary: "Most searched queries",
+    tags: ["Analytics"],
+    query: object(SEARCH_REPORT_QUERY),
+    responses: {
+        200: {
+            description: "Queries by number of searches",
+            schema: object({
+                queries: arrayOf(object({
+                    query: STRING,
+                    searches: INTEGER,
+                    unmatched: INTEGER,
+                    lastSearchedAt: DATE_TIME
+                })),
+                total: { type: "integer", description: "Searches in the window" }
+            }, ["queries", "total"])
+        }
+    }
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const where = searchLogWhere(req.query);
+
+        const [groups, total] = await Promise.all([
+            prisma.searchLog.groupBy({
+                by: ["normalizedQuery"],
+                where,
+                _count: { _all: true },
+                _max: { createdAt: true },
+                orderBy: [{ _count: { normalizedQuery: "desc" } }, { normalizedQuery: "asc" }],
+                take: limit
+            }),
+            prisma.searchLog.count({ where })
+        ]);
+
+        const unmatched = await prisma.searchLog.groupBy({
+            by: ["normalizedQuery"],
+            where: { ...where, normalizedQuery: { in: groups.map(g => g.normalizedQuery) }, statusCode: 404 },
+            _count: { _all: true }
+        });
+        const unmatchedByQuery = new Map(unmatched.map(g => [g.normalizedQuery, g._count._all]));
+
+        res.json({
+            queries: groups.map(g => ({
+                query: g.normalizedQuery,
+                searches: g._count._all,
+                unmatched: unmatchedByQuery.get(g.normalizedQuery) ?? 0,
+                lastSearchedAt: g._max.createdAt
+            })),
+            total
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Queries that matched nothing - products or aliases the catalogue is missing
+route("get", "/analytics/searches/unmatched", {
+    summary: "Most searched queries that matched no medicine",
+    tags: ["Analytics"],
+    query: object(SEARCH_REPORT_QUERY),
+    responses: {
+        200: {
+            description: "Unmatched queries by number of searches",
+            schema: object({
+                queries: arrayOf(object({
+                    query: STRING,
+                    kinds: arrayOf(STRING),
+                    searches: INTEGER,
+                    lastSearchedAt: DATE_TIME
+                })),
+                total: { type: "integer", description: "Unmatched searches in the window" }
+            }, ["queries", "total"])
+        }
+    }
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const where = { ...searchLogWhere(req.query), statusCode: 404 };
+
+        const [groups, total] = await Promise.all([
+            prisma.searchLog.groupBy({
+                by: ["normalizedQuery"],
+                where,
+                _count: { _all: true },
+                _max: { createdAt: true },
+                orderBy: [{ _count: { normalizedQuery: "desc" } }, { normalizedQuery: "asc" }],
+                take: limit
+            }),
+            prisma.searchLog.count({ where })
+        ]);
+
+        // Which catalogues each query was missing from
+        const kinds = await prisma.searchLog.groupBy({
+            by: ["normalizedQuery", "kind"],
+            where: { ...where, normalizedQuery: { in: groups.map(g => g.normalizedQuery) } }
+        });
+        const kindsByQuery = new Map();
+        for (const { normalizedQuery, kind } of kinds) {
+            if (!kindsByQuery.has(normalizedQuery)) kindsByQuery.set(normalizedQuery, []);
+            kindsByQuery.get(normalizedQuery).push(kind);
+        }
+
+        res.json({
+            queries: groups.map(g => ({
+                query: g.normalizedQuery,
+                kinds: (kindsByQuery.get(g.normalizedQuery) ?? []).sort(),
+                searches: g._count._all,
+                lastSearchedAt: g._max.createdAt
+            })),
+            total
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Fuzzy matches scoring low - likely misspellings worth an alias, or wrong matches
+route("get", "/analytics/searches/low-confidence", {
+    summary: "Fuzzy matches with low confidence",
+    tags: ["Analytics"],
+    query: object({
+        ...SEARCH_REPORT_QUERY,
+        maxConfidence: {
+            type: "number",
+            minimum: 0,
+            maximum: 1,
+            description: `Report matches scoring below this, default ${LOW_CONFIDENCE_THRESHOLD}`
+        }
+    }),
+    responses: {
+        200: {
+            description: "Query and matched medicine pairs by number of searches",
+            schema: object({
+                matches: arrayOf(object({
+                    query: STRING,
+                    kind: STRING,
+                    matchedId: nullable(STRING),
+                    matchedName: nullable(STRING),
+                    searches: INTEGER,
+                    averageConfidence: NUMBER,
+                    lastSearchedAt: DATE_TIME
+                })),
+                maxConfidence: NUMBER,
+                total: { type: "integer", description: "Low-confidence searches in the window" }
+            }, ["matches", "maxConfidence", "total"])
+        }
+    }
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const maxConfidence = req.query.maxConfidence !== undefined
+            ? parseFloat(req.query.maxConfidence)
+            : LOW_CONFIDENCE_THRESHOLD;
+        const where = { ...searchLogWhere(req.query), stage: "fuzzy", confidence: { lt: maxConfidence } };
+
+        const [groups, total] = await Promise.all([
+            prisma.searchLog.groupBy({
+                by: ["normalizedQuery", "kind", "matchedId", "matchedName"],
+                where,
+                _count: { _all: true },
+                _avg: { confidence: true },
+                _max: { createdAt: true },
+                orderBy: [{ _count: { normalizedQuery: "desc" } }, { _avg: { confidence: "asc" } }],
+                take: limit
+            }),
+            prisma.searchLog.count({ where })
+        ]);
+
+        res.json({
+            matches: groups.map(g => ({
+                query: g.normalizedQuery,
+                kind: g.kind,
+                matchedId: g.matchedId,
+                matchedName: g.matchedName,
+                searches: g._count._all,
+                averageConfidence: Number(g._avg.confidence.toFixed(4)),
+                lastSearchedAt: g._max.createdAt
+            })),
+            maxConfidence,
+            total
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// EXPORT ENDPOINTS
+// ============================================================================
+
+// Records read from the database per export page
+const EXPORT_PAGE_SIZE = 1000;
+
+const EXPORT_FORMATS = ["xlsx", "csv"];
+
+const SUBSTITUTION_COLUMNS = [
+    "BRANDED NAME", "CONTENTS", "PACKING", "PTR", "MRP",
+    "GENERIC NAME", "GENERIC PACKING", "GENERIC PTR", "GENERIC MRP",
+    "MATCH TYPE", "SOURCE", "SAVINGS %"
+];
+
+/**
+ * Quote a CSV cell when it contains a delimiter, quote or line break
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Catalogue pages matching `where`, ordered by name
+ */
+async function* medicinePages(catalogue, where) {
+    let cursor = null;
+
+    while (true) {
+        const page = await prisma[catalogue.model].findMany({
+            where,
+            orderBy: [{ [catalogue.nameField]: "asc" }, { id: "asc" }],
+            take: EXPORT_PAGE_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        if (page.length === 0) return;
+        yield page;
+
+        if (page.length < EXPORT_PAGE_SIZE) return;
+        cursor = page[page.length - 1].id;
+    }
+}
+
+/**
+ * Where clause for the type, salt and regulatory export filters
+ */
+function exportWhere(req) {
+    const where = { deletedAt: null, ...metadataFilter(req.query).where };
+    if (req.query.type) where.type = String(req.query.type).toUpperCase();
+    if (req.query.salt) where.salt = { contains: String(req.query.salt), mode: "insensitive" };
+    return where;
+}
+
+/**
+ * Predicate for ?hasAlternative=true|false - whether the other catalogue has
+ * a medicine with the same ingredients (or salt), or a curated mapping exists.
+ * Returns null when the filter is not set.
+ */
+async function alternativeFilter(catalogue, value) {
+    if (value === undefined) return null;
+
+    const wanted = String(value).toLowerCase() === "true";
+    const other = catalogue.kind === "branded" ? CATALOGUES.generic : CATALOGUES.branded;
+
+    const [keys, salts, mapped] = await Promise.all([
+        prisma[other.model].findMany({
+            where: { ingredientKey: { not: null }, deletedAt: null },
+            select: { ingredientKey: true },
+            distinct: ["ingredientKey"]
+        }),
+        prisma[other.model].findMany({
+            where: { salt: { not: null }, deletedAt: null },
+            select: { salt: true },
+            distinct: ["salt"]
+        }),
+        prisma.substitutionMapping.findMany({
+            where: { [other.kind]: { deletedAt: null } },
+            select: { [catalogue.relationField]: true },
+            distinct: [catalogue.relationField]
+        })
+    ]);
+
+    const keySet = new Set(keys.map(k => k.ingredientKey));
+    const saltSet = new Set(salts.map(s => s.salt));
+    const mappedIds = new Set(mapped.map(m => m[catalogue.relationField]));
+
+    return medicine => {
+        const hasAlternative = mappedIds.has(medicine.id) ||
+            (medicine.ingredientKey ? keySet.has(medicine.ingredientKey) : saltSet.has(medicine.salt));
+        return hasAlternative === wanted;
+    };
+}
+
+/**
+ * Send rows as a CSV stream or an XLSX workbook. `pages` yields arrays of rows.
+ */
+async function sendExport(res, format, fileName, header, pages) {
+    if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+
+        // BOM so Excel opens the file as UTF-8
+        res.write("﻿" + header.map(csvCell).join(",") + "\r\n");
+
+        for await (const rows of pages) {
+            if (rows.length === 0) continue;
+            const chunk = rows.map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+            if (!res.write(chunk)) await once(res, "drain");
+        }
+        return res.end();
+    }
+
+    const table = [header];
+    for await (const rows of pages) table.push(...rows);
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(table), "Sheet1");
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.xlsx"`);
+    res.send(XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }));
+}
+
+/**
+ * Export format from ?format=, lowercased; xlsx when omitted. The route schema
+ * rejects unsupported formats.
+ */
+function exportFormat(req) {
+    return String(req.query.format ?? "xlsx").toLowerCase();
+}
+
+/**
+ * Spec for an export route; the file streams as XLSX or CSV
+ */
+function exportSpec(summary) {
+    return {
+        summary,
+        tags: ["Export"],
+        query: object({
+            format: { type: "string", enum: [...EXPORT_FORMATS, ...EXPORT_FORMATS.map(f => f.toUpperCase())], description: "Default xlsx" },
+            type: { type: "string", description: "Only this dosage form" },
+            salt: { type: "string", description: "Salt contains" },
+            ...METADATA_FILTERS,
+            hasAlternative: { type: "string", enum: ["true", "false"], description: "Only medicines with (or without) a substitute in the other catalogue" }
+        }),
+        responses: {
+            200: {
+                description: "The export file",
+                content: {
+                    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": { schema: { type: "string", format: "binary" } },
+                    "text/csv": { schema: STRING }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Stream a catalogue in the upload column layout, so the file can be re-uploaded
+ */
+function exportCatalogueHandler(catalogue) {
+    return async (req, res) => {
+        try {
+            const format = exportFormat(req);
+
+            const where = exportWhere(req);
+            const filter = await alternativeFilter(catalogue, req.query.hasAlternative);
+
+            async function* rows() {
+                for await (const page of medicinePages(catalogue, where)) {
+                    yield page
+                        .filter(m => !filter || filter(m))
+                        .map(m => [
+                            m[catalogue.nameField], m.contents, m.packing, m.ptr, m.mrp, m.shipperSize,
+                            m.manufacturer, m.schedule, m.hsnCode, m.gstRate
+                        ]);
+                }
+            }
+
+            await sendExport(res, format, `${catalogue.kind}-medicines`, UPLOAD_COLUMNS, rows());
+
+        } catch (error) {
+            console.error(error);
+            if (res.headersSent) return res.destroy(error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+route("get", "/export/generic", exportSpec("Generic catalogue in the upload column layout"), requireRole(ROLES.PHARMACIST), exportCatalogueHandler(CATALOGUES.generic));
+route("get", "/export/branded", exportSpec("Branded catalogue in the upload column layout"), requireRole(ROLES.PHARMACIST), exportCatalogueHandler(CATALOGUES.branded));
+
+// Every branded medicine with its recommended generic and the savings
+route("get", "/export/substitutions", exportSpec("Every branded medicine with its recommended generic and the savings"), requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const format = exportFormat(req);
+
+        const where = exportWhere(req);
+        const filter = await alternativeFilter(CATALOGUES.branded, req.query.hasAlternative);
+
+        async function* rows() {
+            for await (const page of medicinePages(CATALOGUES.branded, where)) {
+                const brandeds = page.filter(b => !filter || filter(b));
+                const candidates = await loadSubstituteCandidates(brandeds);
+
+                yield brandeds.map(branded => {
+                    const { candidates: list, matchedBy } = candidates.get(branded.id);
+                    const substitute = bestSubstitute(rankSubstitutes(branded, list, matchedBy));
+                    const generic = substitute?.generic;
+
+                    return [
+                        branded.brandedName, branded.contents, branded.packing, branded.ptr, branded.mrp,
+                        generic?.genericName ?? null, generic?.packing ?? null, generic?.ptr ?? null, generic?.mrp ?? null,
+                        substitute?.matchType ?? null,
+                        substitute?.source ?? null,
+                        substitute?.savings.percent != null ? Number(substitute.savings.percent.toFixed(2)) : null
+                    ];
+                });
+            }
+        }
+
+        await sendExport(res, format, "substitutions", SUBSTITUTION_COLUMNS, rows());
+
+    } catch (error) {
+        console.error(error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// CURATION ENDPOINTS
+// ============================================================================
+
+/**
+ * Look up a medicine by id, or by exact (case-insensitive) name
+ */
+async function findMedicineRef(catalogue, id, name) {
+    if (id) {
+        return prisma[catalogue.model].findUnique({ where: { id: String(id), deletedAt: null } });
+    }
+
+    if (name) {
+        return prisma[catalogue.model].findFirst({
+            where: {
+                [catalogue.nameField]: {
+                    equals: String(name).trim(),
+                    mode: "insensitive"
+                },
+                deletedAt: null
+            }
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Shape a curated mapping for API responses
+ */
+function formatMapping(mapping) {
+    return {
+        id: mapping.id,
+        branded: { id: mapping.branded.id, name: mapping.branded.brandedName },
+        generic: { id: mapping.generic.id, name: mapping.generic.genericName },
+        preferred: mapping.preferred,
+        note: mapping.note,
+        createdAt: mapping.createdAt,
+        updatedAt: mapping.updatedAt
+    };
+}
+
+/**
+ * Clear the preferred flag on a brand's other mappings
+ */
+async function clearPreferred(tx, brandedId, exceptId) {
+    await tx.substitutionMapping.updateMany({
+        where: { brandedId, preferred: true, ...(exceptId && { id: { not: exceptId } }) },
+        data: { preferred: false }
+    });
+}
+
+const MAPPING_INCLUDE = { branded: true, generic: true };
+
+const MAPPING_FIELDS = {
+    preferred: { type: "boolean", description: "Recommend this generic first; a brand has at most one" },
+    note: nullable(STRING)
+};
+
+// List curated mappings, optionally for one branded or generic medicine
+route("get", "/mappings", {
+    summary: "List curated branded -> generic mappings",
+    tags: ["Curation"],
+    query: pageQuery(200, {
+        branded: { type: "string", description: "Exact branded name, any case" },
+        generic: { type: "string", description: "Exact generic name, any case" }
+    }),
+    responses: {
+        200: {
+            description: "One page of mappings, newest first",
+            schema: object({ mappings: arrayOf(ref("Mapping")), total: INTEGER, limit: INTEGER, offset: INTEGER }, ["mappings", "total"])
+        }
+    }
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+        const where = {};
+
+        if (req.query.branded) {
+            where.branded = { brandedName: { equals: req.query.branded, mode: "insensitive" } };
+        }
+        if (req.query.generic) {
+            where.generic = { genericName: { equals: req.query.generic, mode: "insensitive" } };
+        }
+
+        const [mappings, total] = await Promise.all([
+            prisma.substitutionMapping.findMany({
+                where,
+                include: MAPPING_INCLUDE,
+                orderBy: { createdAt: "desc" },
+                take: limit,
+                skip: offset
+            }),
+            prisma.substitutionMapping.count({ where })
+        ]);
+
+        res.json({
+            mappings: mappings.map(formatMapping),
+            total,
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("get", "/mappings/:id", {
+    summary: "Get a curated mapping",
+    tags: ["Curation"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "The mapping", schema: ref("Mapping") } },
+    errors: [404]
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const mapping = await prisma.substitutionMapping.findUnique({
+            where: { id: req.params.id },
+            include: MAPPING_INCLUDE
+        });
+
+        if (!mapping) {
+            return res.status(404).json({ error: "Mapping not found" });
+        }
+
+        res.json(formatMapping(mapping));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Link a branded medicine to a specific generic
+route("post", "/mappings", {
+    summary: "Link a branded medicine to a specific generic",
+    description: "Each medicine is given by id or by exact name.",
+    tags: ["Curation"],
+    body: object({ brandedId: STRING, brandedName: STRING, genericId: STRING, genericName: STRING, ...MAPPING_FIELDS }),
+    responses: { 201: { description: "The created mapping", schema: ref("Mapping") } },
+    errors: [404, 409]
+}, requireRole(ROLES.ADMIN), audit("mapping.create"), async (req, res) => {
+    try {
+        const { brandedId, brandedName, genericId, genericName, preferred = false, note = null } = req.body;
+
+        const [branded, generic] = await Promise.all([
+            findMedicineRef(CATALOGUES.branded, brandedId, brandedName),
+            findMedicineRef(CATALOGUES.generic, genericId, genericName)
+        ]);
+
+        if (!branded) {
+            return res.status(404).json({ error: "Branded medicine not found", message: "Pass brandedId or brandedName" });
+        }
+        if (!generic) {
+            return res.status(404).json({ error: "Generic medicine not found", message: "Pass genericId or genericName" });
+        }
+        if (!schedulesCompatible(branded.schedule, generic.schedule)) {
+            return res.status(400).json({
+                error: "Schedules differ",
+                message: `${branded.brandedName} is schedule ${branded.schedule} but ${generic.genericName} is schedule ${generic.schedule}`
+            });
+        }
+
+        const existing = await prisma.substitutionMapping.findUnique({
+            where: { brandedId_genericId: { brandedId: branded.id, genericId: generic.id } }
+        });
+
+        if (existing) {
+            return res.status(409).json({ error: "Mapping already exists", id: existing.id });
+        }
+
+        const mapping = await prisma.$transaction(async (tx) => {
+            if (preferred) await clearPreferred(tx, branded.id);
+
+            return tx.substitutionMapping.create({
+                data: {
+                    brandedId: branded.id,
+                    genericId: generic.id,
+                    preferred: Boolean(preferred),
+                    note: note ? String(note) : null
+                },
+                include: MAPPING_INCLUDE
+            });
+        });
+
+        invalidateSearches([branded.id]);
+
+        res.locals.auditTargetId = mapping.id;
+        res.status(201).json(formatMapping(mapping));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change a mapping's preferred flag or note
+route("patch", "/mappings/:id", {
+    summary: "Change a mapping's preferred flag or note",
+    tags: ["Curation"],
+    params: ID_PARAMS,
+    body: object(MAPPING_FIELDS),
+    responses: { 200: { description: "The updated mapping", schema: ref("Mapping") } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("mapping.update"), async (req, res) => {
+    try {
+        const existing = await prisma.substitutionMapping.findUnique({
+            where: { id: req.params.id }
+        });
+
+        if (!existing) {
+            return res.status(404).json({ error: "Mapping not found" });
+        }
+
+        const { preferred, note } = req.body;
+        const data = {};
+
+        if (preferred !== undefined) data.preferred = Boolean(preferred);
+        if (note !== undefined) data.note = note ? String(note) : null;
+
+        const mapping = await prisma.$transaction(async (tx) => {
+            if (data.preferred) await clearPreferred(tx, existing.brandedId, existing.id);
+
+            return tx.substitutionMapping.update({
+                where: { id: existing.id },
+                data,
+                include: MAPPING_INCLUDE
+            });
+        });
+
+        invalidateSearches([existing.brandedId]);
+
+        res.json(formatMapping(mapping));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("delete", "/mappings/:id", {
+    summary: "Delete a curated mapping",
+    tags: ["Curation"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "Deleted", schema: SUCCESS } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("mapping.delete"), async (req, res) => {
+    try {
+        const existing = await prisma.substitutionMapping.findUnique({
+            where: { id: req.params.id }
+        });
+
+        if (!existing) {
+            return res.status(404).json({ error: "Mapping not found" });
+        }
+
+        await prisma.substitutionMapping.delete({ where: { id: existing.id } });
+        invalidateSearches([existing.brandedId]);
+
+        res.json({ success: true, message: "Mapping deleted" });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// STORES AND STOCK
+// ============================================================================
+
+// Columns of a stock sheet and the headers each is read from
+const STOCK_COLUMN_PROFILE = {
+    id: null,
+    name: "stock",
+    sheetIndex: 0,
+    headerRow: null,
+    headerScanRows: null,
+    columns: {
+        "PRODUCT NAME": ["PRODUCT NAME", "GENERIC NAME", "ITEM NAME", "NAME"],
+        "QUANTITY": ["QUANTITY", "QTY", "STOCK", "CLOSING STOCK"],
+        "REORDER LEVEL": ["REORDER LEVEL", "MIN STOCK", "MINIMUM STOCK"]
+    }
+};
+
+// Stock lines accepted in one JSON update
+const MAX_STOCK_ITEMS = 5000;
+
+/**
+ * Shape a store for API responses
+ */
+function formatStore(store) {
+    return {
+        id: store.id,
+        code: store.code,
+        name: store.name,
+        address: store.address,
+        createdAt: store.createdAt,
+        updatedAt: store.updatedAt
+    };
+}
+
+/**
+ * The store a search result was ranked for
+ */
+function formatStoreRef(store) {
+    return { id: store.id, code: store.code, name: store.name };
+}
+
+/**
+ * Validate a store body. Returns { data } or { error }; with `partial`, only
+ * the fields present are checked.
+ */
+function parseStoreInput(body, partial = false) {
+    body = body ?? {};
+    const data = {};
+
+    for (const field of ["code", "name"]) {
+        if (body[field] === undefined && partial) continue;
+
+        const value = String(body[field] ?? "").trim();
+        if (!value) return { error: `${field} is required` };
+        data[field] = value;
+    }
+
+    if (body.address !== undefined) data.address = body.address ? String(body.address).trim() || null : null;
+    return { data };
+}
+
+/**
+ * Stock to order for a generic at `quantity` on hand. The reorder point is
+ * the store's reorder level, or one shipper when none is set; at or below it,
+ * enough whole shippers are suggested to get back to the reorder point.
+ * Returns null when no reorder is due.
+ */
+function reorderSuggestion(quantity, reorderLevel, shipperSize) {
+    const shipper = shipperSize > 0 ? shipperSize : null;
+    const reorderPoint = reorderLevel ?? shipper ?? 0;
+
+    if (quantity > reorderPoint) return null;
+
+    const shortfall = reorderPoint - quantity;
+    const shippers = shipper ? Math.max(1, Math.ceil(shortfall / shipper)) : null;
+
+    return {
+        quantity: shipper ? shippers * shipper : shortfall || null,
+        shippers,
+        reorderPoint
+    };
+}
+
+/**
+ * Stock levels of `genericIds` at a store, keyed by generic id
+ */
+async function loadStock(storeId, genericIds) {
+    const levels = await prisma.stockLevel.findMany({
+        where: { storeId, genericId: { in: [...new Set(genericIds)] } }
+    });
+    return new Map(levels.map(level => [level.genericId, level]));
+}
+
+/**
+ * Availability of a generic at a store. Generics the store does not track
+ * are out of stock with no quantity and no reorder suggestion.
+ */
+function stockAvailability(generic, level) {
+    if (!level) return { inStock: false, quantity: null, reorder: null };
+
+    return {
+        inStock: level.quantity > 0,
+        quantity: level.quantity,
+        reorder: reorderSuggestion(level.quantity, level.reorderLevel, generic.shipperSize)
+    };
+}
+
+/**
+ * Shape a stock level, with its generic, for API responses
+ */
+function formatStockLevel(level) {
+    return {
+        genericId: level.genericId,
+        name: level.generic.genericName,
+        packing: level.generic.packing,
+        shipperSize: level.generic.shipperSize,
+        quantity: level.quantity,
+        reorderLevel: level.reorderLevel,
+        ...stockAvailability(level.generic, level),
+        updatedAt: level.updatedAt
+    };
+}
+
+/**
+ * Parse a whole, non-negative stock count - null when empty, NaN otherwise
+ */
+function parseStockCount(value) {
+    const count = parseNumber(value);
+    return count === null || (Number.isInteger(count) && count >= 0) ? count : NaN;
+}
+
+/**
+ * Turn a stock sheet row into a stock line plus validation errors. The
+ * reorder level is only set when the sheet has that column.
+ */
+function parseStockRow(row) {
+    const line = {
+        row: row[ROW_NUMBER],
+        sheet: row[SHEET_NAME] ?? null,
+        name: String(row["PRODUCT NAME"] ?? "").trim(),
+        quantity: parseStockCount(row["QUANTITY"]),
+        errors: []
+    };
+
+    if (line.quantity === null) line.errors.push("QUANTITY is missing");
+    else if (Number.isNaN(line.quantity)) line.errors.push(`QUANTITY "${row["QUANTITY"]}" is not a whole number of 0 or more`);
+
+    if (row["REORDER LEVEL"] !== undefined) {
+        line.reorderLevel = parseStockCount(row["REORDER LEVEL"]);
+        if (Number.isNaN(line.reorderLevel)) {
+            line.errors.push(`REORDER LEVEL "${row["REORDER LEVEL"]}" is not a whole number of 0 or more`);
+        }
+    }
+
+    return line;
+}
+
+/**
+ * Match stock lines to generics by id, or by name in any case. Lines naming
+ * no generic, or one an earlier line already set, get an error.
+ */
+async function resolveStockGenerics(lines) {
+    const ids = lines.filter(l => l.genericId).map(l => l.genericId);
+    const names = [...new Set(lines.filter(l => !l.genericId && l.name).map(l => l.name.toUpperCase()))];
+
+    const generics = await prisma.genericMedicine.findMany({
+        where: {
+            OR: [
+                { id: { in: ids } },
+                ...names.map(name => ({ genericName: { equals: name, mode: "insensitive" } }))
+            ],
+            deletedAt: null
+        },
+        select: { id: true, genericName: true }
+    });
+
+    const byId = new Map(generics.map(g => [g.id, g]));
+    const byName = new Map(generics.map(g => [g.genericName.toUpperCase(), g]));
+    const firstSeen = new Map();
+
+    for (const line of lines) {
+        const generic = line.genericId ? byId.get(line.genericId) : byName.get(line.name.toUpperCase());
+
+        if (!generic) {
+            line.errors.push(line.genericId
+                ? `Generic medicine ${line.genericId} not found`
+                : `No generic medicine named "${line.name}"`);
+            continue;
+        }
+
+        line.genericId = generic.id;
+        line.name = generic.genericName;
+
+        if (firstSeen.has(generic.id)) {
+            line.errors.push(`Duplicate generic (first seen on row ${firstSeen.get(generic.id)})`);
+        } else {
+            firstSeen.set(generic.id, line.row);
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * Write every valid stock line for a store in one transaction and drop the
+ * searches ranked by its stock. Lines with errors are skipped and reported.
+ */
+async function saveStockLevels(store, lines) {
+    const valid = lines.filter(l => l.errors.length === 0);
+
+    await prisma.$transaction(valid.map(line => prisma.stockLevel.upsert({
+        where: { storeId_genericId: { storeId: store.id, genericId: line.genericId } },
+        create: {
+            storeId: store.id,
+            genericId: line.genericId,
+            quantity: line.quantity,
+            reorderLevel: line.reorderLevel ?? null
+        },
+        update: {
+            quantity: line.quantity,
+            ...(line.reorderLevel !== undefined && { reorderLevel: line.reorderLevel })
+        }
+    })));
+
+    invalidateSearches([stockCacheTag(store.id)]);
+
+    const errors = lines
+        .filter(l => l.errors.length > 0)
+        .map(l => ({ row: l.row, ...(l.sheet && { sheet: l.sheet }), name: l.name || null, errors: l.errors }));
+
+    return {
+        success: true,
+        message: `Stock updated for ${store.name}`,
+        stats: { updated: valid.length, skipped: lines.length - valid.length, total: lines.length },
+        errors
+    };
+}
+
+const STORE_FIELDS = {
+    code: { type: "string", minLength: 1, description: "Short unique code, e.g. a branch number" },
+    name: { type: "string", minLength: 1 },
+    address: nullable(STRING)
+};
+
+const STOCK_UPDATE_RESPONSE = {
+    200: {
+        description: "Stock levels written; lines with errors were skipped",
+        schema: object({
+            success: BOOLEAN,
+            message: STRING,
+            stats: object({ updated: INTEGER, skipped: INTEGER, total: INTEGER }),
+            errors: arrayOf(object({ row: nullable(INTEGER), sheet: STRING, name: nullable(STRING), errors: arrayOf(STRING) }))
+        }, ["success", "stats", "errors"])
+    }
+};
+
+route("get", "/stores", {
+    summary: "List stores",
+    tags: ["Stores"],
+    responses: {
+        200: { description: "Every store, by code", schema: object({ stores: arrayOf(ref("Store")), total: INTEGER }, ["stores", "total"]) }
+    }
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const stores = await prisma.store.findMany({ orderBy: { code: "asc" } });
+        res.json({ stores: stores.map(formatStore), total: stores.length });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("post", "/stores", {
+    summary: "Create a store",
+    tags: ["Stores"],
+    body: object(STORE_FIELDS, ["code", "name"], { additionalProperties: false }),
+    responses: { 201: { description: "The created store", schema: ref("Store") } },
+    errors: [409]
+}, requireRole(ROLES.ADMIN), audit("store.create"), async (req, res) => {
+    try {
+        const { data, error } = parseStoreInput(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const existing = await prisma.store.findUnique({ where: { code: data.code } });
+        if (existing) {
+            return res.status(409).json({ error: "Store code already exists", id: existing.id });
+        }
+
+        const store = await prisma.store.create({ data });
+        res.locals.auditTargetId = store.id;
+        res.status(201).json(formatStore(store));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("patch", "/stores/:id", {
+    summary: "Change a store's code, name or address",
+    tags: ["Stores"],
+    params: ID_PARAMS,
+    body: object(STORE_FIELDS, [], { additionalProperties: false }),
+    responses: { 200: { description: "The updated store", schema: ref("Store") } },
+    errors: [404, 409]
+}, requireRole(ROLES.ADMIN), audit("store.update"), async (req, res) => {
+    try {
+        const existing = await prisma.store.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ error: "Store not found" });
+        }
+
+        const { data, error } = parseStoreInput(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (data.code && data.code !== existing.code) {
+            const clash = await prisma.store.findUnique({ where: { code: data.code } });
+            if (clash) {
+                return res.status(409).json({ error: "Store code already exists", id: clash.id });
+            }
+        }
+
+        const store = await prisma.store.update({ where: { id: existing.id }, data });
+
+        // Searches ranked by this store name it in their response
+        invalidateSearches([stockCacheTag(store.id)]);
+
+        res.json(formatStore(store));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("delete", "/stores/:id", {
+    summary: "Delete a store and its stock levels",
+    tags: ["Stores"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "Deleted", schema: SUCCESS } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("store.delete"), async (req, res) => {
+    try {
+        const existing = await prisma.store.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ error: "Store not found" });
+        }
+
+        await prisma.store.delete({ where: { id: existing.id } });
+        invalidateSearches([stockCacheTag(existing.id)]);
+
+        res.json({ success: true, message: "Store deleted" });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("get", "/stores/:id/stock", {
+    summary: "Stock levels at a store with reorder suggestions",
+    tags: ["Stores"],
+    params: ID_PARAMS,
+    query: pageQuery(500, {
+        lowStock: { type: "boolean", description: "Only generics due for a reorder" }
+    }),
+    responses: {
+        200: {
+            description: "One page of stock levels, by generic name",
+            schema: object({
+                store: ref("StoreRef"),
+                stock: arrayOf(ref("StockLevel")),
+                total: INTEGER,
+                limit: INTEGER,
+                offset: INTEGER
+            }, ["store", "stock", "total"])
+        }
+    },
+    errors: [404]
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const store = await prisma.store.findUnique({ where: { id: req.params.id } });
+        if (!store) {
+            return res.status(404).json({ error: "Store not found" });
+        }
+
+        const levels = await prisma.stockLevel.findMany({
+            where: { storeId: store.id, generic: { deletedAt: null } },
+            include: { generic: true }
+        });
+
+        // Reorder suggestions depend on the generic's shipper size, so filter after formatting
+        let stock = levels
+            .map(formatStockLevel)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (req.query.lowStock === "true") stock = stock.filter(level => level.reorder);
+
+        res.json({
+            store: formatStoreRef(store),
+            stock: stock.slice(offset, offset + limit),
+            total: stock.length,
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("patch", "/stores/:id/stock", {
+    summary: "Set stock levels at a store",
+    description: "Each item names a generic by id or exact name. Generics not listed keep their stock; a reorder level left out keeps its current value.",
+    tags: ["Stores"],
+    params: ID_PARAMS,
+    body: object({
+        items: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_STOCK_ITEMS,
+            items: object({
+                genericId: STRING,
+                name: STRING,
+                quantity: { type: "integer", minimum: 0 },
+                reorderLevel: nullable({ type: "integer", minimum: 0 })
+            }, ["quantity"], { additionalProperties: false })
+        }
+    }, ["items"]),
+    responses: STOCK_UPDATE_RESPONSE,
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("stock.update"), async (req, res) => {
+    try {
+        const store = await prisma.store.findUnique({ where: { id: req.params.id } });
+        if (!store) {
+            return res.status(404).json({ error: "Store not found" });
+        }
+
+        const lines = req.body.items.map((item, idx) => ({
+            row: idx + 1,
+            genericId: item.genericId ? String(item.genericId) : null,
+            name: String(item.name ?? "").trim(),
+            quantity: item.quantity,
+            ...(item.reorderLevel !== undefined && { reorderLevel: item.reorderLevel }),
+            errors: item.genericId || item.name ? [] : ["genericId or name is required"]
+        }));
+
+        await resolveStockGenerics(lines.filter(l => l.errors.length === 0));
+
+        res.locals.auditTargetId = store.id;
+        res.json(await saveStockLevels(store, lines));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("post", "/stores/:id/stock/upload", {
+    summary: "Set stock levels at a store from a sheet",
+    description: `Columns: ${Object.entries(STOCK_COLUMN_PROFILE.columns).map(([column, headers]) => `${column} (${headers.join(", ")})`).join("; ")}. REORDER LEVEL is optional.`,
+    tags: ["Stores"],
+    params: ID_PARAMS,
+    query: object({ sheet: STRING }),
+    form: object({
+        file: { type: "string", format: "binary", description: "XLSX workbook, or CSV/TSV file" },
+        sheet: STRING
+    }),
+    body: ref("UploadRows"),
+    bodyOptional: true,
+    responses: STOCK_UPDATE_RESPONSE,
+    errors: [404, 500]
+}, requireRole(ROLES.ADMIN), audit("stock.upload"), upload.single("file"), async (req, res) => {
+    try {
+        if (!req.file && !jsonUploadRows(req.body)) {
+            return res.status(400).json({
+                error: "No file uploaded",
+                message: "Please upload a file with field name 'file' or send a JSON array of rows"
+            });
+        }
+
+        const store = await prisma.store.findUnique({ where: { id: req.params.id } });
+        if (!store) {
+            return res.status(404).json({ error: "Store not found" });
+        }
+
+        const sheet = await readSheet(req, [STOCK_COLUMN_PROFILE]);
+        const lines = sheet.rows.map(parseStockRow);
+
+        await resolveStockGenerics(lines.filter(l => l.errors.length === 0));
+
+        res.locals.auditTargetId = store.id;
+        res.locals.auditDetails = { sourceFile: importSource(req).sourceFile };
+        res.json(await saveStockLevels(store, lines));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// SALT ALIAS ENDPOINTS
+// ============================================================================
+
+/**
+ * Reload the alias dictionary used when parsing contents. Salt searches resolve
+ * aliases too, so every cached search is dropped.
+ */
+async function loadSaltAliases() {
+    setSaltAliases(await prisma.saltAlias.findMany());
+    invalidateSearches(Object.values(CATALOGUES).map(c => c.kind));
+}
+
+/**
+ * Validate a salt alias body. Returns { data } or { error }; with `current`,
+ * fields missing from the body keep their current values. Names are normalized
+ * like parsed ingredients, and "* SUFFIX" wildcards must map to "*" or "* OTHER".
+ */
+function parseSaltAliasInput(body, current = null) {
+    body = body ?? {};
+
+    const alias = body.alias !== undefined || !current ? normalizeAlias(body.alias) : current.alias;
+    const canonical = body.canonical !== undefined || !current ? normalizeAlias(body.canonical) : current.canonical;
+
+    if (!alias || alias === "*") return { error: "alias is required" };
+    if (!canonical) return { error: "canonical is required" };
+    if (alias === canonical) return { error: "alias and canonical must differ" };
+
+    const wildcard = alias.startsWith("*");
+    if (wildcard !== canonical.startsWith("*")) {
+        return {
+            error: "Wildcard aliases map to wildcards",
+            message: `"* HCL" can map to "*" (drop the word) or "* HYDROCHLORIDE", but not to a plain ingredient`
+        };
+    }
+
+    const data = { alias, canonical };
+    if (body.note !== undefined) data.note = body.note ? String(body.note) : null;
+    return { data };
+}
+
+/**
+ * Reject dictionaries where a canonical name is itself an alias, so every
+ * lookup resolves in one step. Returns an error message or null.
+ */
+async function aliasChainError(data, exceptId) {
+    const [canonicalIsAlias, aliasIsCanonical] = await Promise.all([
+        prisma.saltAlias.findFirst({ where: { alias: data.canonical, ...(exceptId && { id: { not: exceptId } }) } }),
+        prisma.saltAlias.findFirst({ where: { canonical: data.alias, ...(exceptId && { id: { not: exceptId } }) } })
+    ]);
+
+    if (canonicalIsAlias) return `${data.canonical} is itself an alias of ${canonicalIsAlias.canonical}`;
+    if (aliasIsCanonical) return `${data.alias} is the canonical name for ${aliasIsCanonical.alias}`;
+    return null;
+}
+
+/**
+ * Re-derive salt, composition keys and components of medicines whose contents
+ * mention any of `aliases`, after the dictionary changed. Returns the number
+ * of medicines updated per catalogue.
+ */
+async function reapplySaltAliases(aliases) {
+    const texts = [...new Set(aliases.map(alias => alias.replace(/^\*\s*/, "")))].filter(Boolean);
+    const counts = {};
+
+    for (const catalogue of Object.values(CATALOGUES)) {
+        const records = await prisma[catalogue.model].findMany({
+            where: { OR: texts.map(text => ({ contents: { contains: text, mode: "insensitive" } })) }
+        });
+
+        const changed = [];
+        for (const record of records) {
+            const components = parseContents(record.contents);
+            const data = {
+                salt: saltFromComposition(components),
+                compositionKey: compositionKey(components),
+                ingredientKey: ingredientKey(components)
+            };
+
+            if (Object.keys(data).some(field => data[field] !== record[field])) {
+                changed.push({ record, data, components });
+            }
+        }
+
+        if (changed.length > 0) {
+            await prisma.$transaction(async (tx) => {
+                for (const { record, data, components } of changed) {
+                    await tx[catalogue.model].update({
+                        where: { id: record.id },
+                        data: {
+                            ...data,
+                            components: {
+                                deleteMany: {},
+                                create: components.map((c, position) => ({ ...c, position }))
+                            }
+                        }
+                    });
+                }
+            }, { timeout: IMPORT_TX_TIMEOUT_MS });
+
+            await indexMedicines(catalogue, changed.map(({ record, data }) => ({ ...record, ...data })));
+
+            // Renamed salts would otherwise linger in the salt index
+            delete searchIndexes[SALT_INDEX];
+        }
+
+        counts[catalogue.kind] = changed.length;
+    }
+
+    return counts;
+}
+
+const SALT_ALIAS_FIELDS = {
+    alias: { type: "string", description: 'Spelling to replace, e.g. "PCM", or a "* SUFFIX" wildcard' },
+    canonical: { type: "string", description: 'Ingredient it stands for; wildcards map to "*" or "* OTHER"' },
+    note: nullable(STRING)
+};
+
+// Rows re-parsed per catalogue because an alias changed
+const REAPPLIED = object({ generic: INTEGER, branded: INTEGER });
+
+route("get", "/salt-aliases", {
+    summary: "List the salt alias dictionary",
+    tags: ["Curation"],
+    query: object({ canonical: { type: "string", description: "Only aliases of this ingredient" } }),
+    responses: {
+        200: {
+            description: "Aliases by canonical name",
+            schema: object({ aliases: arrayOf(ref("SaltAlias")), total: INTEGER }, ["aliases", "total"])
+        }
+    }
+}, async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.canonical) where.canonical = normalizeAlias(req.query.canonical);
+
+        const aliases = await prisma.saltAlias.findMany({
+            where,
+            orderBy: [{ canonical: "asc" }, { alias: "asc" }]
+        });
+
+        res.json({ aliases, total: aliases.length });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("post", "/salt-aliases", {
+    summary: "Add a salt alias and re-parse the medicines it affects",
+    tags: ["Curation"],
+    body: object(SALT_ALIAS_FIELDS, ["alias", "canonical"]),
+    responses: {
+        201: {
+            description: "The alias and how many rows were re-parsed",
+            schema: { allOf: [ref("SaltAlias"), object({ reapplied: REAPPLIED })] }
+        }
+    },
+    errors: [409]
+}, requireRole(ROLES.ADMIN), audit("salt-alias.create"), async (req, res) => {
+    try {
+        const { data, error, message } = parseSaltAliasInput(req.body);
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        const existing = await prisma.saltAlias.findUnique({ where: { alias: data.alias } });
+        if (existing) {
+            return res.status(409).json({ error: "Alias already exists", id: existing.id });
+        }
+
+        const chainError = await aliasChainError(data);
+        if (chainError) {
+            return res.status(400).json({ error: chainError });
+        }
+
+        const alias = await prisma.saltAlias.create({ data });
+        await loadSaltAliases();
+        const reapplied = await reapplySaltAliases([alias.alias]);
+
+        res.locals.auditTargetId = alias.id;
+        res.locals.auditDetails = { alias: alias.alias, canonical: alias.canonical, reapplied };
+        res.status(201).json({ ...alias, reapplied });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("patch", "/salt-aliases/:id", {
+    summary: "Change a salt alias and re-parse the medicines it affects",
+    tags: ["Curation"],
+    params: ID_PARAMS,
+    body: object(SALT_ALIAS_FIELDS),
+    responses: {
+        200: {
+            description: "The alias and how many rows were re-parsed",
+            schema: { allOf: [ref("SaltAlias"), object({ reapplied: REAPPLIED })] }
+        }
+    },
+    errors: [404, 409]
+}, requireRole(ROLES.ADMIN), audit("salt-alias.update"), async (req, res) => {
+    try {
+        const current = await prisma.saltAlias.findUnique({ where: { id: req.params.id } });
+        if (!current) {
+            return res.status(404).json({ error: "Alias not found" });
+        }
+
+        const { data, error, message } = parseSaltAliasInput(req.body, current);
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        if (data.alias !== current.alias) {
+            const clash = await prisma.saltAlias.findUnique({ where: { alias: data.alias } });
+            if (clash) {
+                return res.status(409).json({ error: "Alias already exists", id: clash.id });
+            }
+        }
+
+        const chainError = await aliasChainError(data, current.id);
+        if (chainError) {
+            return res.status(400).json({ error: chainError });
+        }
+
+        const alias = await prisma.saltAlias.update({ where: { id: current.id }, data });
+        await loadSaltAliases();
+        const reapplied = await reapplySaltAliases([current.alias, alias.alias]);
+
+        res.locals.auditDetails = { from: { alias: current.alias, canonical: current.canonical }, to: { alias: alias.alias, canonical: alias.canonical }, reapplied };
+        res.json({ ...alias, reapplied });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("delete", "/salt-aliases/:id", {
+    summary: "Delete a salt alias and re-parse the medicines it affected",
+    tags: ["Curation"],
+    params: ID_PARAMS,
+    responses: {
+        200: {
+            description: "Deleted",
+            schema: { allOf: [SUCCESS, object({ reapplied: REAPPLIED })] }
+        }
+    },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("salt-alias.delete"), async (req, res) => {
+    try {
+        const current = await prisma.saltAlias.findUnique({ where: { id: req.params.id } });
+        if (!current) {
+            return res.status(404).json({ error: "Alias not found" });
+        }
+
+        await prisma.saltAlias.delete({ where: { id: current.id } });
+        await loadSaltAliases();
+        const reapplied = await reapplySaltAliases([current.alias]);
+
+        res.locals.auditDetails = { alias: current.alias, canonical: current.canonical, reapplied };
+        res.json({ success: true, message: "Alias deleted", reapplied });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// INTERACTION CHECKS
+// ============================================================================
+
+// Resolution stages, most to least certain
+const MATCH_STAGES = ["exact", "contains", "fuzzy"];
+
+/**
+ * Shape an interaction for API responses
+ */
+function formatInteraction(interaction) {
+    return {
+        id: interaction.id,
+        ingredients: [interaction.ingredientA, interaction.ingredientB],
+        severity: interaction.severity,
+        description: interaction.description,
+        createdAt: interaction.createdAt,
+        updatedAt: interaction.updatedAt
+    };
+}
+
+/**
+ * Ingredient name as parsed contents spell it - normalized, with salt aliases resolved
+ */
+function canonicalIngredient(name) {
+    const normalized = normalizeAlias(name);
+    return normalized && !normalized.startsWith("*") ? resolveSaltAlias(normalized) : null;
+}
+
+/**
+ * Validate an interaction body. Returns { data } or { error }; with `current`,
+ * fields missing from the body keep their current values.
+ */
+function parseInteractionInput(body, current = null) {
+    body = body ?? {};
+    const data = {};
+
+    if (body.ingredients !== undefined || !current) {
+        const ingredients = [].concat(body.ingredients ?? []).map(canonicalIngredient);
+
+        if (ingredients.length !== 2 || ingredients.some(i => !i)) {
+            return { error: "ingredients must name two ingredients" };
+        }
+        if (ingredients[0] === ingredients[1]) {
+            return { error: "ingredients must differ", message: `Both resolve to ${ingredients[0]}` };
+        }
+
+        [data.ingredientA, data.ingredientB] = interactionPair(...ingredients);
+    }
+
+    if (body.severity !== undefined || !current) {
+        data.severity = String(body.severity ?? "").toUpperCase();
+        if (!INTERACTION_SEVERITIES.includes(data.severity)) {
+            return { error: `severity must be one of: ${INTERACTION_SEVERITIES.join(", ")}` };
+        }
+    }
+
+    if (body.description !== undefined) data.description = body.description ? String(body.description).trim() || null : null;
+    return { data };
+}
+
+/**
+ * Resolve a name in both catalogues and keep the surer match
+ */
+async function resolveAnyMedicine(name, { threshold }) {
+    const matches = await Promise.all(Object.values(CATALOGUES).map(async catalogue => ({
+        catalogue,
+        ...await resolveMedicine(catalogue, name, { threshold })
+    })));
+
+    const [best] = matches
+        .filter(m => m.medicine)
+        .sort((a, b) => MATCH_STAGES.indexOf(a.stage) - MATCH_STAGES.indexOf(b.stage) || b.confidence - a.confidence);
+
+    return best ?? null;
+}
+
+/**
+ * Active ingredients of a medicine from its contents, or from its salt when
+ * the contents had no parseable composition
+ */
+function medicineIngredients(medicine) {
+    const components = parseContents(medicine.contents);
+    const ingredients = components.length > 0
+        ? components.map(c => c.ingredient)
+        : String(medicine.salt ?? "").split(/\s*\+\s*/).filter(Boolean);
+
+    return [...new Set(ingredients)];
+}
+
+/**
+ * Table interactions between ingredients of different lines of the basket
+ */
+async function findInteractions(medicines) {
+    const ingredients = [...new Set(medicines.flatMap(m => m.ingredients))];
+    if (ingredients.length < 2) return [];
+
+    const interactions = await prisma.drugInteraction.findMany({
+        where: { ingredientA: { in: ingredients }, ingredientB: { in: ingredients } }
+    });
+
+    return matchInteractions(medicines, interactions);
+}
+
+const INTERACTION_FIELDS = {
+    ingredients: {
+        type: "array",
+        items: { type: "string", minLength: 1 },
+        minItems: 2,
+        maxItems: 2,
+        description: "The two interacting ingredients; salt aliases are resolved"
+    },
+    severity: anyCaseEnum(INTERACTION_SEVERITIES),
+    description: nullable(STRING)
+};
+
+// Check a basket of medicines for duplicate therapy and known interactions
+route("post", "/search/interactions", {
+    summary: "Check a basket of medicines for duplicate therapy and ingredient interactions",
+    description: "Each line is resolved like a prescription line, against both catalogues. Interactions come from the table managed under /interactions.",
+    tags: ["Search"],
+    query: object({ threshold: SEARCH_QUERY.properties.threshold }),
+    body: object({
+        items: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_PRESCRIPTION_LINES,
+            items: {
+                anyOf: [STRING, object({ name: STRING }, ["name"])],
+                description: "a medicine name or { name }"
+            }
+        }
+    }, ["items"]),
+    responses: {
+        200: {
+            description: "Resolved medicines with the duplicates and interactions found between them",
+            schema: object({
+                medicines: arrayOf(object({
+                    line: INTEGER,
+                    input: {},
+                    id: STRING,
+                    kind: { type: "string", enum: Object.keys(CATALOGUES) },
+                    name: STRING,
+                    salt: nullable(STRING),
+                    ingredients: arrayOf(STRING),
+                    match: ref("Match")
+                })),
+                unresolved: arrayOf(object({ line: INTEGER, input: {}, reason: STRING })),
+                duplicates: arrayOf(object({
+                    ingredient: STRING,
+                    sameSalt: BOOLEAN,
+                    medicines: arrayOf(object({ line: INTEGER, name: STRING, salt: nullable(STRING) }))
+                })),
+                interactions: arrayOf(object({
+                    id: STRING,
+                    ingredients: arrayOf(STRING),
+                    severity: { type: "string", enum: INTERACTION_SEVERITIES },
+                    description: nullable(STRING),
+                    medicines: arrayOf(object({ line: INTEGER, name: STRING }))
+                })),
+                summary: object({
+                    duplicates: INTEGER,
+                    interactions: INTEGER,
+                    highestSeverity: nullable({ type: "string", enum: INTERACTION_SEVERITIES })
+                })
+            }, ["medicines", "unresolved", "duplicates", "interactions", "summary"])
+        }
+    }
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const threshold = fuzzyThreshold(req);
+
+        const results = await Promise.all(req.body.items.map(async (item, idx) => {
+            const line = idx + 1;
+            const { name } = parsePrescriptionLine(item);
+
+            if (!name) {
+                return { line, input: item, unresolved: "Empty medicine name" };
+            }
+
+            const match = await resolveAnyMedicine(name, { threshold });
+            if (!match) {
+                return { line, input: item, unresolved: "No medicine matched" };
+            }
+
+            const { catalogue, medicine, stage, confidence } = match;
+            return {
+                line,
+                input: item,
+                id: medicine.id,
+                kind: catalogue.kind,
+                name: medicine[catalogue.nameField],
+                salt: medicine.salt,
+                ingredients: medicineIngredients(medicine),
+                match: { stage, confidence: Number(confidence.toFixed(4)) }
+            };
+        }));
+
+        const medicines = results.filter(r => !r.unresolved);
+        const duplicates = findDuplicateTherapy(medicines);
+        const interactions = await findInteractions(medicines);
+
+        res.json({
+            medicines,
+            unresolved: results
+                .filter(r => r.unresolved)
+                .map(r => ({ line: r.line, input: r.input, reason: r.unresolved })),
+            duplicates,
+            interactions,
+            summary: {
+                duplicates: duplicates.length,
+                interactions: interactions.length,
+                highestSeverity: interactions[0]?.severity ?? null
+            }
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("get", "/interactions", {
+    summary: "List the interaction table",
+    tags: ["Curation"],
+    query: pageQuery(500, {
+        ingredient: { type: "string", description: "Only interactions involving this ingredient; aliases are resolved" },
+        severity: anyCaseEnum(INTERACTION_SEVERITIES)
+    }),
+    responses: {
+        200: {
+            description: "One page of interactions by ingredient",
+            schema: object({
+                interactions: arrayOf(ref("Interaction")),
+                total: INTEGER,
+                limit: INTEGER,
+                offset: INTEGER
+            }, ["interactions", "total"])
+        }
+    }
+}, requireRole(ROLES.PHARMACIST), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+        const where = {};
+
+        if (req.query.ingredient) {
+            const ingredient = canonicalIngredient(req.query.ingredient);
+            where.OR = [{ ingredientA: ingredient }, { ingredientB: ingredient }];
+        }
+        if (req.query.severity) where.severity = req.query.severity.toUpperCase();
+
+        const [interactions, total] = await Promise.all([
+            prisma.drugInteraction.findMany({
+                where,
+                orderBy: [{ ingredientA: "asc" }, { ingredientB: "asc" }],
+                take: limit,
+                skip: offset
+            }),
+            prisma.drugInteraction.count({ where })
+        ]);
+
+        res.json({
+            interactions: interactions.map(formatInteraction),
+            total,
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("post", "/interactions", {
+    summary: "Add an interaction between two ingredients",
+    tags: ["Curation"],
+    body: object(INTERACTION_FIELDS, ["ingredients", "severity"], { additionalProperties: false }),
+    responses: { 201: { description: "The created interaction", schema: ref("Interaction") } },
+    errors: [409]
+}, requireRole(ROLES.ADMIN), audit("interaction.create"), async (req, res) => {
+    try {
+        const { data, error, message } = parseInteractionInput(req.body);
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        const existing = await prisma.drugInteraction.findUnique({
+            where: { ingredientA_ingredientB: { ingredientA: data.ingredientA, ingredientB: data.ingredientB } }
+        });
+        if (existing) {
+            return res.status(409).json({ error: "Interaction already exists", id: existing.id });
+        }
+
+        const interaction = await prisma.drugInteraction.create({ data });
+
+        res.locals.auditTargetId = interaction.id;
+        res.locals.auditDetails = { ingredients: [data.ingredientA, data.ingredientB], severity: data.severity };
+        res.status(201).json(formatInteraction(interaction));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("patch", "/interactions/:id", {
+    summary: "Change an interaction's ingredients, severity or description",
+    tags: ["Curation"],
+    params: ID_PARAMS,
+    body: object(INTERACTION_FIELDS, [], { additionalProperties: false }),
+    responses: { 200: { description: "The updated interaction", schema: ref("Interaction") } },
+    errors: [404, 409]
+}, requireRole(ROLES.ADMIN), audit("interaction.update"), async (req, res) => {
+    try {
+        const current = await prisma.drugInteraction.findUnique({ where: { id: req.params.id } });
+        if (!current) {
+            return res.status(404).json({ error: "Interaction not found" });
+        }
+
+        const { data, error, message } = parseInteractionInput(req.body, current);
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        if (data.ingredientA && (data.ingredientA !== current.ingredientA || data.ingredientB !== current.ingredientB)) {
+            const clash = await prisma.drugInteraction.findUnique({
+                where: { ingredientA_ingredientB: { ingredientA: data.ingredientA, ingredientB: data.ingredientB } }
+            });
+            if (clash) {
+                return res.status(409).json({ error: "Interaction already exists", id: clash.id });
+            }
+        }
+
+        const interaction = await prisma.drugInteraction.update({ where: { id: current.id }, data });
+        res.json(formatInteraction(interaction));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("delete", "/interactions/:id", {
+    summary: "Delete an interaction",
+    tags: ["Curation"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "Deleted", schema: SUCCESS } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("interaction.delete"), async (req, res) => {
+    try {
+        const existing = await prisma.drugInteraction.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ error: "Interaction not found" });
+        }
+
+        await prisma.drugInteraction.delete({ where: { id: existing.id } });
+        res.json({ success: true, message: "Interaction deleted" });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+const WEBHOOK_EVENTS = {
+    IMPORT_FINISHED: "import.finished",
+    MEDICINE_CREATED: "medicine.created",
+    MEDICINE_DELETED: "medicine.deleted",
+    PRICE_CHANGED: "medicine.price_changed",
+    PING: "webhook.ping"
+};
+
+const DELIVERY_STATUS = {
+    PENDING: "PENDING",
+    SUCCEEDED: "SUCCEEDED",
+    FAILED: "FAILED"
+};
+
+// Attempts per delivery, and the backoff between them (doubling from the base, capped)
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const WEBHOOK_RETRY_MAX_MS = 60 * 60 * 1000;
+
+// How long a receiver has to answer, and how often due retries are picked up
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_POLL_MS = Math.min(WEBHOOK_RETRY_BASE_MS, 15 * 1000);
+
+// Deliveries being sent right now, so the poller does not send one twice
+const deliveriesInFlight = new Set();
+
+/**
+ * POST one delivery to its webhook and record the outcome, scheduling a
+ * retry on failure until the attempts run out
+ */
+async function attemptDelivery(delivery, webhook) {
+    if (deliveriesInFlight.has(delivery.id)) return;
+    deliveriesInFlight.add(delivery.id);
+
+    try {
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: delivery.event,
+            createdAt: delivery.createdAt,
+            data: delivery.payload
+        });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+
+        let statusCode = null;
+        let failure = null;
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "X-Webhook-Id": webhook.id,
+                    "X-Webhook-Delivery": delivery.id,
+                    "X-Webhook-Event": delivery.event,
+                    "X-Webhook-Timestamp": timestamp,
+                    "X-Webhook-Signature": signWebhookPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: "manual",
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+
+            statusCode = response.status;
+            await response.body?.cancel();
+            if (!response.ok) failure = `Receiver answered HTTP ${response.status}`;
+        } catch (error) {
+            failure = error.message;
+        }
+
+        const attempts = delivery.attempts + 1;
+        const data = { attempts, lastStatusCode: statusCode, lastError: failure, lastAttemptAt: new Date() };
+
+        if (!failure) {
+            Object.assign(data, { status: DELIVERY_STATUS.SUCCEEDED, deliveredAt: new Date(), nextAttemptAt: null });
+        } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            Object.assign(data, { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null });
+        } else {
+            data.nextAttemptAt = new Date(Date.now() + retryDelay(attempts, WEBHOOK_RETRY_BASE_MS, WEBHOOK_RETRY_MAX_MS));
+        }
+
+        await prisma.webhookDelivery.update({ where: { id: delivery.id }, data });
+
+    } finally {
+        deliveriesInFlight.delete(delivery.id);
+    }
+}
+
+/**
+ * Send every pending delivery whose retry time has come
+ */
+async function processDueDeliveries() {
+    const due = await prisma.webhookDelivery.findMany({
+        where: { status: DELIVERY_STATUS.PENDING, nextAttemptAt: { lte: new Date() } },
+        include: { webhook: true },
+        orderBy: { nextAttemptAt: "asc" },
+        take: 100
+    });
+
+    await Promise.all(due.map(delivery => attemptDelivery(delivery, delivery.webhook)));
+}
+
+/**
+ * Queue `event` for every active webhook subscribed to it and send straight
+ * away. `payload` may be a function of the webhook returning null to skip it.
+ */
+async function emitWebhookEvent(event, payload) {
+    const webhooks = await prisma.webhook.findMany({
+        where: { active: true, events: { has: event } }
+    });
+
+    for (const webhook of webhooks) {
+        const data = typeof payload === "function" ? payload(webhook) : payload;
+        if (!data) continue;
+
+        const delivery = await prisma.webhookDelivery.create({
+            data: {
+                webhookId: webhook.id,
+                event,
+                payload: data,
+                status: DELIVERY_STATUS.PENDING,
+                nextAttemptAt: new Date()
+            }
+        });
+
+        attemptDelivery(delivery, webhook).catch(error => console.error(error));
+    }
+}
+
+/**
+ * Percent change from `from` to `to`; Infinity when there was no earlier price
+ */
+function percentChange(from, to) {
+    if (from === to) return 0;
+    if (!from) return Infinity;
+    return Math.abs(to - from) / from * 100;
+}
+
+/**
+ * Whether a PTR/MRP change passes a webhook's threshold (any change when it has none)
+ */
+function priceChangeExceeds(change, threshold) {
+    const ptr = percentChange(change.ptr.from, change.ptr.to);
+    const mrp = percentChange(change.mrp.from, change.mrp.to);
+    return Math.max(ptr, mrp) >= (threshold ?? 0) && Math.max(ptr, mrp) > 0;
+}
+
+/**
+ * Price change entry for webhook payloads
+ */
+function priceChangeEvent(catalogue, before, after) {
+    return {
+        id: after.id,
+        name: after[catalogue.nameField],
+        ptr: { from: before.ptr ?? null, to: after.ptr ?? null },
+        mrp: { from: before.mrp ?? null, to: after.mrp ?? null }
+    };
+}
+
+/**
+ * Medicine summary for created/deleted webhook payloads
+ */
+function medicineEvent(catalogue, medicine) {
+    return {
+        id: medicine.id,
+        name: medicine[catalogue.nameField],
+        type: medicine.type ?? null,
+        ptr: medicine.ptr ?? null,
+        mrp: medicine.mrp ?? null
+    };
+}
+
+/**
+ * Tell subscribers about medicines added, removed or repriced. `source`
+ * (e.g. { importJobId }) is included in every payload. Never throws.
+ */
+function notifyCatalogueChanges(catalogue, { created = [], deleted = [], priceChanges = [] }, source = {}) {
+    const base = { catalogue: catalogue.kind, ...source };
+    const emit = (event, payload) => emitWebhookEvent(event, payload).catch(error => console.error(error));
+
+    if (created.length > 0) emit(WEBHOOK_EVENTS.MEDICINE_CREATED, { ...base, medicines: created });
+    if (deleted.length > 0) emit(WEBHOOK_EVENTS.MEDICINE_DELETED, { ...base, medicines: deleted });
+
+    if (priceChanges.length > 0) {
+        emit(WEBHOOK_EVENTS.PRICE_CHANGED, webhook => {
+            const changes = priceChanges.filter(change => priceChangeExceeds(change, webhook.priceChangeThreshold));
+            return changes.length > 0 ? { ...base, threshold: webhook.priceChangeThreshold, changes } : null;
+        });
+    }
+}
+
+/**
+ * Webhook as returned by the API - the secret is only shown on create and rotation
+ */
+function formatWebhook(webhook) {
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        events: webhook.events,
+        active: webhook.active,
+        priceChangeThreshold: webhook.priceChangeThreshold,
+        description: webhook.description,
+        createdAt: webhook.createdAt,
+        updatedAt: webhook.updatedAt
+    };
+}
+
+/**
+ * Validate a webhook body. Returns { data } or { error }; with `partial`
+ * only the fields present are checked.
+ */
+function parseWebhookInput(body, partial = false) {
+    const data = {};
+    body = body ?? {};
+
+    if (body.url !== undefined || !partial) {
+        let url;
+        try {
+            url = new URL(String(body.url ?? ""));
+        } catch {
+            return { error: "url must be an absolute http(s) URL" };
+        }
+        if (!["http:", "https:"].includes(url.protocol)) return { error: "url must be an absolute http(s) URL" };
+        data.url = url.toString();
+    }
+
+    if (body.events !== undefined || !partial) {
+        const allowed = Object.values(WEBHOOK_EVENTS).filter(e => e !== WEBHOOK_EVENTS.PING);
+        const events = [].concat(body.events ?? []).map(String);
+        const unknown = events.filter(e => !allowed.includes(e));
+
+        if (events.length === 0) return { error: "events is required", message: `Events: ${allowed.join(", ")}` };
+        if (unknown.length > 0) return { error: `Unknown events: ${unknown.join(", ")}`, message: `Events: ${allowed.join(", ")}` };
+        data.events = [...new Set(events)];
+    }
+
+    if (body.priceChangeThreshold !== undefined) {
+        if (body.priceChangeThreshold === null) {
+            data.priceChangeThreshold = null;
+        } else {
+            const threshold = parseFloat(body.priceChangeThreshold);
+            if (Number.isNaN(threshold) || threshold < 0) return { error: "priceChangeThreshold must be a percentage >= 0" };
+            data.priceChangeThreshold = threshold;
+        }
+    }
+
+    if (body.active !== undefined) data.active = Boolean(body.active);
+    if (body.description !== undefined) data.description = body.description ? String(body.description) : null;
+
+    return { data };
+}
+
+// Events a webhook can subscribe to; pings go to every webhook
+const SUBSCRIBABLE_EVENTS = Object.values(WEBHOOK_EVENTS).filter(e => e !== WEBHOOK_EVENTS.PING);
+
+const WEBHOOK_FIELDS = {
+    url: { type: "string", description: "Absolute http(s) URL receiving signed POSTs" },
+    events: { type: ["array", "string"], items: { type: "string", enum: SUBSCRIBABLE_EVENTS } },
+    priceChangeThreshold: nullable({ type: ["number", "string"], description: "Minimum PTR/MRP change in percent for price events" }),
+    active: BOOLEAN,
+    description: nullable(STRING)
+};
+
+route("get", "/webhooks", {
+    summary: "List webhooks",
+    tags: ["Webhooks"],
+    responses: {
+        200: {
+            description: "Webhooks, newest first",
+            schema: object({ webhooks: arrayOf(ref("Webhook")), total: INTEGER }, ["webhooks", "total"])
+        }
+    }
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const webhooks = await prisma.webhook.findMany({ orderBy: { createdAt: "desc" } });
+        res.json({ webhooks: webhooks.map(formatWebhook), total: webhooks.length });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Register a webhook - the signing secret is only returned here
+route("post", "/webhooks", {
+    summary: "Register a webhook",
+    description: "The signing secret is only returned here and on rotation.",
+    tags: ["Webhooks"],
+    body: object(WEBHOOK_FIELDS, ["url", "events"]),
+    responses: { 201: { description: "The webhook with its secret", schema: ref("Webhook") } }
+}, requireRole(ROLES.ADMIN), audit("webhook.create"), async (req, res) => {
+    try {
+        const { data, error, message } = parseWebhookInput(req.body);
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        const webhook = await prisma.webhook.create({
+            data: { ...data, secret: generateWebhookSecret() }
+        });
+
+        res.locals.auditTargetId = webhook.id;
+        res.status(201).json({ ...formatWebhook(webhook), secret: webhook.secret });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change a webhook; { "rotateSecret": true } issues and returns a new secret
+route("patch", "/webhooks/:id", {
+    summary: "Change a webhook or rotate its secret",
+    tags: ["Webhooks"],
+    params: ID_PARAMS,
+    body: object({ ...WEBHOOK_FIELDS, rotateSecret: { type: "boolean", description: "Issue and return a new secret" } }),
+    responses: { 200: { description: "The updated webhook", schema: ref("Webhook") } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("webhook.update"), async (req, res) => {
+    try {
+        const existing = await prisma.webhook.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ error: "Webhook not found" });
+        }
+
+        const { data, error, message } = parseWebhookInput(req.body, true);
+        if (error) {
+            return res.status(400).json({ error, message });
+        }
+
+        const rotate = req.body.rotateSecret === true;
+        if (rotate) data.secret = generateWebhookSecret();
+
+        const webhook = await prisma.webhook.update({ where: { id: existing.id }, data });
+
+        res.json({ ...formatWebhook(webhook), ...(rotate && { secret: webhook.secret }) });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+route("delete", "/webhooks/:id", {
+    summary: "Delete a webhook and its delivery log",
+    tags: ["Webhooks"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "Deleted", schema: SUCCESS } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("webhook.delete"), async (req, res) => {
+    try {
+        const existing = await prisma.webhook.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ error: "Webhook not found" });
+        }
+
+        await prisma.webhook.delete({ where: { id: existing.id } });
+
+        res.json({ success: true, message: "Webhook deleted" });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send a ping delivery to check the receiver and its signature handling
+route("post", "/webhooks/:id/ping", {
+    summary: "Send a ping delivery now",
+    tags: ["Webhooks"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "The delivery after its first attempt", schema: ref("WebhookDelivery") } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const webhook = await prisma.webhook.findUnique({ where: { id: req.params.id } });
+        if (!webhook) {
+            return res.status(404).json({ error: "Webhook not found" });
+        }
+
+        const delivery = await prisma.webhookDelivery.create({
+            data: {
+                webhookId: webhook.id,
+                event: WEBHOOK_EVENTS.PING,
+                payload: { message: "ping" },
+                status: DELIVERY_STATUS.PENDING,
+                nextAttemptAt: new Date()
+            }
+        });
+
+        await attemptDelivery(delivery, webhook);
+
+        res.json(await prisma.webhookDelivery.findUnique({ where: { id: delivery.id } }));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delivery log for a webhook, newest first
+route("get", "/webhooks/:id/deliveries", {
+    summary: "Delivery log for a webhook, newest first",
+    tags: ["Webhooks"],
+    params: ID_PARAMS,
+    query: pageQuery(200, {
+        status: anyCaseEnum(Object.values(DELIVERY_STATUS)),
+        event: { type: "string", enum: Object.values(WEBHOOK_EVENTS) }
+    }),
+    responses: {
+        200: {
+            description: "One page of deliveries",
+            schema: object({ deliveries: arrayOf(ref("WebhookDelivery")), total: INTEGER, limit: INTEGER, offset: INTEGER }, ["deliveries", "total"])
+        }
+    }
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+        const where = { webhookId: req.params.id };
+
+        if (req.query.status) where.status = String(req.query.status).toUpperCase();
+        if (req.query.event) where.event = String(req.query.event);
+
+        const [deliveries, total] = await Promise.all([
+            prisma.webhookDelivery.findMany({
+                where,
+                orderBy: { createdAt: "desc" },
+                take: limit,
+                skip: offset
+            }),
+            prisma.webhookDelivery.count({ where })
+        ]);
+
+        res.json({ deliveries, total, limit, offset });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send a failed delivery again, with a fresh set of attempts
+route("post", "/webhooks/:id/deliveries/:deliveryId/retry", {
+    summary: "Send a failed delivery again with a fresh set of attempts",
+    tags: ["Webhooks"],
+    params: object({ id: STRING, deliveryId: STRING }, ["id", "deliveryId"]),
+    responses: { 200: { description: "The delivery after its first new attempt", schema: ref("WebhookDelivery") } },
+    errors: [404, 409]
+}, requireRole(ROLES.ADMIN), audit("webhook.retry"), async (req, res) => {
+    try {
+        const delivery = await prisma.webhookDelivery.findFirst({
+            where: { id: req.params.deliveryId, webhookId: req.params.id },
+            include: { webhook: true }
+        });
+
+        if (!delivery) {
+            return res.status(404).json({ error: "Delivery not found" });
+        }
+        if (delivery.status !== DELIVERY_STATUS.FAILED) {
+            return res.status(409).json({ error: `Only failed deliveries can be retried (this one is ${delivery.status})` });
+        }
+
+        const reset = await prisma.webhookDelivery.update({
+            where: { id: delivery.id },
+            data: { status: DELIVERY_STATUS.PENDING, attempts: 0, nextAttemptAt: new Date() }
+        });
+
+        await attemptDelivery(reset, delivery.webhook);
+
+        res.json(await prisma.webhookDelivery.findUnique({ where: { id: delivery.id } }));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// AUTH ENDPOINTS
+// ============================================================================
+
+/**
+ * API key as returned by the API - never includes the hash
+ */
+function formatApiKey(apiKey) {
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        role: apiKey.role,
+        prefix: apiKey.prefix,
+        createdAt: apiKey.createdAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        revokedAt: apiKey.revokedAt
+    };
+}
+
+// The caller's role and key
+route("get", "/auth/me", {
+    summary: "The caller's role and API key",
+    tags: ["Auth"],
+    responses: {
+        200: {
+            description: "PUBLIC with a null key when no key was sent",
+            schema: object({ role: { type: "string", enum: ROLE_RANK }, apiKey: nullable(ref("ApiKey")) }, ["role", "apiKey"])
+        }
+    }
+}, (req, res) => {
+    res.json({
+        role: req.auth.role,
+        apiKey: req.auth.apiKey ? formatApiKey(req.auth.apiKey) : null
+    });
+});
+
+route("get", "/auth/keys", {
+    summary: "List API keys",
+    tags: ["Auth"],
+    query: object({ includeRevoked: { type: "string", enum: ["true", "false"] } }),
+    responses: {
+        200: {
+            description: "Keys, newest first",
+            schema: object({ keys: arrayOf(ref("ApiKey")), total: INTEGER }, ["keys", "total"])
+        }
+    }
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const where = req.query.includeRevoked === "true" ? {} : { revokedAt: null };
+
+        const keys = await prisma.apiKey.findMany({
+            where,
+            orderBy: { createdAt: "desc" }
+        });
+
+        res.json({ keys: keys.map(formatApiKey), total: keys.length });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Issue a key - the raw key is only ever returned in this response
+route("post", "/auth/keys", {
+    summary: "Issue an API key",
+    description: "The raw key is only ever returned in this response.",
+    tags: ["Auth"],
+    body: object({ name: { type: "string", minLength: 1 }, role: anyCaseEnum(KEY_ROLES) }, ["name", "role"]),
+    responses: { 201: { description: "The key, including the raw key", schema: ref("ApiKey") } }
+}, requireRole(ROLES.ADMIN), audit("api-key.create"), async (req, res) => {
+    try {
+        const { name, role } = req.body;
+
+        const { key, keyHash, prefix } = generateApiKey();
+
+        const apiKey = await prisma.apiKey.create({
+            data: { name: name.trim(), role: String(role).toUpperCase(), keyHash, prefix }
+        });
+
+        res.locals.auditTargetId = apiKey.id;
+        res.locals.auditDetails = { name: apiKey.name, role: apiKey.role };
+        res.status(201).json({ ...formatApiKey(apiKey), key });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Revoke a key. Revoked keys stay listed so audit entries keep their owner.
+route("delete", "/auth/keys/:id", {
+    summary: "Revoke an API key",
+    description: "Revoked keys stay listed so audit entries keep their owner. A key cannot revoke itself.",
+    tags: ["Auth"],
+    params: ID_PARAMS,
+    responses: { 200: { description: "The revoked key", schema: ref("ApiKey") } },
+    errors: [404]
+}, requireRole(ROLES.ADMIN), audit("api-key.revoke"), async (req, res) => {
+    try {
+        const apiKey = await prisma.apiKey.findUnique({ where: { id: req.params.id } });
+
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(404).json({ error: "API key not found" });
+        }
+        if (apiKey.id === req.auth.apiKey.id) {
+            return res.status(400).json({ error: "A key cannot revoke itself" });
+        }
+
+        const revoked = await prisma.apiKey.update({
+            where: { id: apiKey.id },
+            data: { revokedAt: new Date() }
+        });
+
+        res.json(formatApiKey(revoked));
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Audit entries, newest first, filterable by action, key and target
+route("get", "/audit-log", {
+    summary: "Audit entries, newest first",
+    tags: ["Auth"],
+    query: pageQuery(200, {
+        action: { type: "string", description: 'e.g. "generic.update"' },
+        apiKeyId: STRING,
+        targetId: STRING
+    }),
+    responses: {
+        200: {
+            description: "One page of entries",
+            schema: object({ entries: arrayOf(ref("AuditEntry")), total: INTEGER, limit: INTEGER, offset: INTEGER }, ["entries", "total"])
+        }
+    }
+}, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+        const where = {};
+
+        if (req.query.action) where.action = req.query.action;
+        if (req.query.apiKeyId) where.apiKeyId = req.query.apiKeyId;
+        if (req.query.targetId) where.targetId = req.query.targetId;
+
+        const [entries, total] = await Promise.all([
+            prisma.auditLog.findMany({
+                where,
+                include: { apiKey: { select: { id: true, name: true, role: true } } },
+                orderBy: { createdAt: "desc" },
+                take: limit,
+                skip: offset
+            }),
+            prisma.auditLog.count({ where })
+        ]);
+
+        res.json({ entries, total, limit, offset });
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// HEALTH CHECK
+// ============================================================================
+
+route("get", "/health", {
+    summary: "Liveness check",
+    tags: ["Health"],
+    responses: {
+        200: { description: "Up", schema: object({ status: STRING, timestamp: DATE_TIME }, ["status", "timestamp"]) }
+    }
+}, (req, res) => {
+    res.json({ status: "OK", timestamp: new Date().toISOString() });
+});
+
+// ============================================================================
+// API DOCUMENTATION
+// ============================================================================
+
+const API_TAGS = [
+    { name: "Uploads", description: "Spreadsheet uploads, previews, column profiles and background imports" },
+    { name: "Prices", description: "Price history recorded by uploads and edits" },
+    { name: "Search", description: "Substitute lookup, fuzzy matching, prescriptions and autocomplete" },
+    { name: "Catalogue", description: "Browse and edit medicines" },
+    { name: "Data quality", description: "Anomaly reports, duplicate merges and dosage form rules" },
+    { name: "Analytics", description: "What is searched for, what is missing and what matches poorly" },
+    { name: "Export", description: "Catalogue and substitution sheets" },
+    { name: "Curation", description: "Curated mappings, the salt alias dictionary and the interaction table" },
+    { name: "Stores", description: "Stores, their stock levels and reorder suggestions" },
+    { name: "Webhooks", description: "Signed notifications of catalogue changes" },
+    { name: "Auth", description: "API keys and the audit log" },
+    { name: "Health" }
+];
+
+// Built on first request, once every route has registered its spec
+let openApiDocument = null;
+
+app.get("/openapi.json", (req, res) => {
+    openApiDocument ??= apiRegistry.document({
+        info: {
+            title: "Medicine substitution API",
+            version: "1.0.0",
+            description: `Every path is also served without the ${API_V1} prefix. Unversioned paths keep their original response shapes, which differ from ${API_V1} where noted. Errors always carry \`error\` and a machine-readable \`code\`.`
+        },
+        tags: API_TAGS,
+        schemas: API_SCHEMAS,
+        rateLimitedPaths: RATE_LIMITED_PATHS.map(p => `${API_V1}${p}`)
+    });
+    res.json(openApiDocument);
+});
+
+app.get("/docs", (req, res) => {
+    res.type("html").send(docsPage({ title: "Medicine substitution API", specUrl: "/openapi.json" }));
+});
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+app.use((req, res) => {
+    res.status(404).json({ error: "Not found", message: `No route for ${req.method} ${req.path}` });
+});
+
+// Errors thrown before a handler runs - unreadable JSON bodies, multipart limits
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+
+    if (error.type === "entity.parse.failed") {
+        return res.status(400).json({ error: "Invalid JSON body", code: "INVALID_JSON", message: error.message });
+    }
+    if (error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+        return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ error: error.message, code: error.code });
+    }
+
+    console.error(error);
+    res.status(500).json({ error: error.message });
+});
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+
+/**
+ * Bring stored state in line before serving: fail import jobs a restart
+ * interrupted, warn when no admin key exists and load the salt aliases
+ */
+export async function initialize() {
+    // Jobs still pending or running were interrupted by a restart; their transaction never committed
+    await prisma.importJob.updateMany({
+        where: { status: { in: [IMPORT_STATUS.PENDING, IMPORT_STATUS.RUNNING] } },
+        data: {
+            status: IMPORT_STATUS.FAILED,
+            failureReason: "Server restarted before the import finished",
+            finishedAt: new Date()
+        }
+    }).catch(error => console.error(error));
+
+    await prisma.apiKey.count({ where: { role: ROLES.ADMIN, revokedAt: null } }).then(count => {
+        if (count === 0) {
+            console.warn(`⚠️  No admin API key exists - create one with: npm run create-api-key -- <name> ADMIN`);
+        }
+    }).catch(error => console.error(error));
+
+    // Uploads parsed before the dictionary loads would miss aliases
+    await loadSaltAliases().catch(error => console.error(error));
+}
+
+/**
+ * Start the background workers. Returns a function that stops them.
+ */
+export function startWorkers() {
+    // Retries are picked up from the delivery table, so they survive restarts
+    const timer = setInterval(() => {
+        processDueDeliveries().catch(error => console.error(error));
+    }, WEBHOOK_POLL_MS).unref();
+
+    return () => clearInterval(timer);
+}
+
+/**
+ * Print the address and the endpoint overview once the server is listening
+ */
+export function logEndpoints(port) {
+    console.log(`🚀 Server running on http://localhost:${port}`);
+    console.log(`📊 Endpoints available:`);
+    console.log(`   POST /upload/generic - Upload generic medicines`);
+    console.log(`   POST /upload/branded - Upload branded medicines`);
+    console.log(`   POST /upload/{generic|branded}/preview - Validate and diff a sheet without writing`);
+    console.log(`   POST /upload/{generic|branded}/commit/:previewId - Apply a previewed sheet`);
+    console.log(`   GET|POST /column-profiles, GET|PATCH|DELETE /column-profiles/:id - Spreadsheet column mappings`);
+    console.log(`   POST /imports/{generic|branded} - Start a background import job`);
+    console.log(`   GET  /imports - List import jobs`);
+    console.log(`   GET  /imports/:id - Import job progress`);
+    console.log(`   GET  /prices/{generic|branded}/history?name=<name> - Price timeline`);
+    console.log(`   GET  /prices/{generic|branded}/increases?from=<jobId>&to=<jobId> - Biggest price increases`);
+    console.log(`   GET  /search/branded?name=<name>&storeId=<id> - Search branded medicine, in-stock substitutes first`);
+    console.log(`   GET  /search/generic?name=<name> - Search generic medicine`);
+    console.log(`   GET  /search/{branded|generic}/fuzzy?name=<name>&threshold=<0-1> - Ranked fuzzy candidates`);
+    console.log(`   GET  /search/salt?name=<salt> - Search by active ingredient`);
+    console.log(`   POST /search/prescription - Resolve prescription lines to substitute generics`);
+    console.log(`   POST /search/interactions - Duplicate therapy and interaction check for a basket`);
+    console.log(`   GET  /suggest?q=<prefix>&type=<TABLET|SYRUP|...> - Autocomplete`);
+    console.log(`   GET|POST /medicines/{generic|branded}, GET|PATCH|DELETE /medicines/{generic|branded}/:id - Browse and edit the catalogue`);
+    console.log(`   GET  /quality - Catalogue anomaly reports`);
+    console.log(`   POST /quality/{generic|branded}/merge - Merge or rename flagged duplicates`);
+    console.log(`   POST /quality/{generic|branded}/reclassify - Re-run the dosage form rules over stored rows`);
+    console.log(`   GET  /dosage-forms?name=<name> - Dosage forms and how a name classifies`);
+    console.log(`   GET  /analytics/searches/{top|unmatched|low-confidence} - Search demand reports`);
+    console.log(`   GET  /export/{generic|branded}?format=<xlsx|csv> - Export the catalogue in upload layout`);
+    console.log(`   GET  /export/substitutions?format=<xlsx|csv> - Branded-to-generic substitution sheet`);
+    console.log(`   GET|POST /mappings, GET|PATCH|DELETE /mappings/:id - Curated brand-to-generic mappings`);
+    console.log(`   GET|POST /stores, PATCH|DELETE /stores/:id - Stores`);
+    console.log(`   GET  /stores/:id/stock?lowStock=true - Stock levels and reorder suggestions`);
+    console.log(`   PATCH /stores/:id/stock, POST /stores/:id/stock/upload - Set stock from JSON or a sheet`);
+    console.log(`   GET|POST /salt-aliases, PATCH|DELETE /salt-aliases/:id - Salt synonym dictionary`);
+    console.log(`   GET|POST /interactions, PATCH|DELETE /interactions/:id - Ingredient interaction table`);
+    console.log(`   GET|POST /webhooks, PATCH|DELETE /webhooks/:id - Webhook subscriptions (admin)`);
+    console.log(`   POST /webhooks/:id/ping - Send a test delivery`);
+    console.log(`   GET  /webhooks/:id/deliveries?status=&event= - Delivery log`);
+    console.log(`   POST /webhooks/:id/deliveries/:deliveryId/retry - Resend a failed delivery`);
+    console.log(`   GET  /auth/me, GET|POST /auth/keys, DELETE /auth/keys/:id - API keys (admin)`);
+    console.log(`   GET  /audit-log - Audit trail of writes (admin)`);
+    console.log(`   GET  /health - Health check`);
+    console.log(`📖 GET /openapi.json - OpenAPI document, GET /docs - Interactive docs`);
+    console.log(`   Every route is also under ${API_V1}, with consistent response shapes`);
+    console.log(`⏱️  Search routes: ${SEARCH_RATE_LIMIT} requests per ${SEARCH_RATE_WINDOW_MS / 1000}s per client, ${searchCache ? `responses cached for ${SEARCH_CACHE_TTL_MS / 1000}s` : "response cache off"}${SEARCH_LOG ? ", name searches logged" : ""}`);
+    console.log(`🔐 Uploads, imports, column profiles, mapping, interaction, store and stock changes need an ADMIN key; prescriptions, interaction checks, prices, exports, search reports, mappings and stock levels need PHARMACIST`);
+}
+
+export default app;
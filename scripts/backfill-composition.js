@@ -0,0 +1,78 @@
+// Backfill salt, compositionKey, ingredientKey and CompositionComponent rows for medicines
+// uploaded before contents were parsed into structured compositions. Salt aliases are
+// applied, so this also brings every row in line with the current alias dictionary.
+//
+// Usage: node scripts/backfill-composition.js
+
+import prisma from "../src/lib/prisma.js";
+import { parseComposition, compositionKey, ingredientKey, saltFromComposition, createAliasResolver } from "../src/lib/composition.js";
+
+const BATCH_SIZE = 500;
+
+const CATALOGUES = [
+    { model: "genericMedicine", relationField: "genericId", label: "generic" },
+    { model: "brandedMedicine", relationField: "brandedId", label: "branded" }
+];
+
+async function backfill(catalogue, resolveAlias) {
+    let cursor = null;
+    let processed = 0;
+
+    while (true) {
+        const records = await prisma[catalogue.model].findMany({
+            select: { id: true, contents: true },
+            orderBy: { id: "asc" },
+            take: BATCH_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        if (records.length === 0) break;
+
+        await prisma.$transaction(async (tx) => {
+            await tx.compositionComponent.deleteMany({
+                where: { [catalogue.relationField]: { in: records.map(r => r.id) } }
+            });
+
+            const components = [];
+
+            for (const record of records) {
+                const parsed = parseComposition(record.contents, { resolveAlias });
+
+                await tx[catalogue.model].update({
+                    where: { id: record.id },
+                    data: {
+                        salt: saltFromComposition(parsed),
+                        compositionKey: compositionKey(parsed),
+                        ingredientKey: ingredientKey(parsed)
+                    }
+                });
+
+                parsed.forEach((c, position) => {
+                    components.push({ [catalogue.relationField]: record.id, ...c, position });
+                });
+            }
+
+            await tx.compositionComponent.createMany({ data: components });
+        });
+
+        processed += records.length;
+        cursor = records[records.length - 1].id;
+        console.log(`   ${catalogue.label}: ${processed} rows backfilled`);
+    }
+
+    return processed;
+}
+
+try {
+    const resolveAlias = createAliasResolver(await prisma.saltAlias.findMany());
+
+    for (const catalogue of CATALOGUES) {
+        const total = await backfill(catalogue, resolveAlias);
+        console.log(`✅ ${catalogue.label}: ${total} rows done`);
+    }
+} catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+} finally {
+    await prisma.$disconnect();
+}
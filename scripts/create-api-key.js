@@ -0,0 +1,33 @@
+// Create an API key - used to bootstrap the first admin key, after which keys
+// can be managed through the /auth/keys endpoints.
+//
+// Usage: node scripts/create-api-key.js <name> [ADMIN|PHARMACIST]
+
+import prisma from "../src/lib/prisma.js";
+import { generateApiKey } from "../src/lib/api-keys.js";
+
+const ROLES = ["ADMIN", "PHARMACIST"];
+
+const [name, role = "ADMIN"] = process.argv.slice(2);
+
+if (!name || !ROLES.includes(role.toUpperCase())) {
+    console.error("Usage: node scripts/create-api-key.js <name> [ADMIN|PHARMACIST]");
+    process.exit(1);
+}
+
+try {
+    const { key, keyHash, prefix } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+        data: { name, role: role.toUpperCase(), keyHash, prefix }
+    });
+
+    console.log(`✅ ${apiKey.role} key "${apiKey.name}" created (${apiKey.id})`);
+    console.log(`   ${key}`);
+    console.log(`   Store it now - it cannot be shown again.`);
+} catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+} finally {
+    await prisma.$disconnect();
+}
@@ -0,0 +1,30 @@
+// API key generation and hashing. Keys are random and high-entropy, so a
+// plain SHA-256 is enough to store them - only the hash and a short display
+// prefix are ever persisted.
+
+import { createHash, randomBytes } from "crypto";
+
+const KEY_PREFIX = "mk_";
+
+// Characters of the key kept in clear so it can be recognised in listings
+const DISPLAY_PREFIX_LENGTH = 10;
+
+/**
+ * SHA-256 hex digest of a raw key
+ */
+export function hashApiKey(key) {
+    return createHash("sha256").update(String(key)).digest("hex");
+}
+
+/**
+ * Generate a new key. Returns the raw key (shown once), its hash and display prefix.
+ */
+export function generateApiKey() {
+    const key = KEY_PREFIX + randomBytes(32).toString("base64url");
+
+    return {
+        key,
+        keyHash: hashApiKey(key),
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH)
+    };
+}
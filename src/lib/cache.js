@@ -0,0 +1,90 @@
+// Response cache with tag-based invalidation. Entries live in a store - the
+// in-process LRU below by default - and are tagged with whatever they were
+// built from, so a write only has to name the tags it touched.
+//
+// A store is any object with get(key), set(key, value, ttlMs) and delete(key);
+// each may return a promise. Invalidations are remembered in this process, so
+// a store shared between instances only sees other instances' writes once
+// their entries expire.
+
+/**
+ * Least-recently-used store holding at most `maxEntries` values
+ */
+export function createLruStore({ maxEntries = 1000 } = {}) {
+    const entries = new Map();  // key -> { value, expiresAt }, oldest use first
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) return undefined;
+
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        set(key, value, ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Cache of JSON-serializable values kept for `ttlMs`. Pass the time a value
+ * started being computed to set(), so writes that land while it is being
+ * built still invalidate it.
+ */
+export function createResponseCache({ store = createLruStore(), ttlMs = 5 * 60 * 1000 } = {}) {
+    const invalidatedAt = new Map();  // tag -> when it was last invalidated
+
+    function stale(entry) {
+        return entry.tags.some(tag => (invalidatedAt.get(tag) ?? -Infinity) >= entry.startedAt);
+    }
+
+    return {
+        ttlMs,
+
+        async get(key) {
+            const entry = await store.get(key);
+            if (!entry) return undefined;
+
+            if (stale(entry)) {
+                await store.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, { tags = [], startedAt = Date.now() } = {}) {
+            await store.set(key, { value, tags: [...new Set(tags)], startedAt }, ttlMs);
+        },
+
+        /**
+         * Mark every entry carrying one of `tags` stale
+         */
+        invalidate(tags) {
+            const now = Date.now();
+            for (const tag of tags) invalidatedAt.set(tag, now);
+
+            // Marks older than the TTL can no longer match a live entry
+            for (const [tag, at] of invalidatedAt) {
+                if (at < now - ttlMs) invalidatedAt.delete(tag);
+            }
+        }
+    };
+}
@@ -0,0 +1,188 @@
+// Parses CONTENTS strings like "PARACETAMOL 325MG + ACECLOFENAC 100MG" into
+// normalized ingredient/strength/unit components, optionally resolving
+// ingredient spellings to canonical names through an alias resolver.
+
+const NA_VALUES = ["#N/A", "N/A", "NA", ""];
+
+// Separators between ingredients of a combination product
+const COMPONENT_SEPARATOR = /\s*(?:\+|&|,|;|\bAND\b|\bWITH\b)\s*/;
+
+// Digit-group commas in strengths like "60,000 IU" or "1,00,000 IU", removed before splitting
+const DIGIT_GROUP_SEPARATOR = /(?<=\d),(?=\d{2,3}(?!\d))/g;
+
+// "<ingredient> <strength><unit>[/<per><unit>]" - the strength must start a word so "VITAMIN D3" stays intact
+const COMPONENT_PATTERN = /^(.*?)(?:^|\s)(\d+(?:\.\d+)?)\s*(MCG|MG|GM|G|ML|IU|%|UG|LAKH\s*IU)?(?:\s*\/\s*(\d+(?:\.\d+)?)?\s*(ML|GM|G|TAB|CAP))?(?![A-Z])/;
+
+// Pharmacopoeia markers that are not part of the ingredient name
+const INGREDIENT_NOISE = /\b(?:IP|BP|USP|EP)\b\.?/g;
+
+// Alias entries of the form "* HCL" match a trailing salt-form word
+const SUFFIX_WILDCARD = "*";
+
+const UNIT_ALIASES = {
+    GM: "G",
+    UG: "MCG"
+};
+
+/**
+ * Clean an ingredient name - uppercase, no pharmacopoeia suffix or stray punctuation
+ */
+function cleanIngredient(name) {
+    return name
+        .replace(INGREDIENT_NOISE, " ")
+        .replace(/[^A-Z0-9\- ]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Round strengths so 0.5G and 500MG compare equal
+ */
+function roundStrength(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Parse one ingredient of a combination into { ingredient, strength, unit }
+ */
+function parseComponent(part) {
+    const match = part.match(COMPONENT_PATTERN);
+
+    if (!match) {
+        const ingredient = cleanIngredient(part);
+        return ingredient ? { ingredient, strength: null, unit: null } : null;
+    }
+
+    const [, rawName, rawStrength, rawUnit, rawPer, rawPerUnit] = match;
+    const ingredient = cleanIngredient(rawName);
+    if (!ingredient) return null;
+
+    let strength = parseFloat(rawStrength);
+    let unit = rawUnit ? rawUnit.replace(/\s+/g, " ") : null;
+    unit = UNIT_ALIASES[unit] ?? unit;
+
+    // Normalize grams to milligrams
+    if (unit === "G") {
+        strength *= 1000;
+        unit = "MG";
+    }
+
+    if (rawPerUnit) {
+        const per = rawPer && parseFloat(rawPer) !== 1 ? rawPer : "";
+        unit = `${unit ?? ""}/${per}${UNIT_ALIASES[rawPerUnit] ?? rawPerUnit}`;
+    }
+
+    return { ingredient, strength: roundStrength(strength), unit };
+}
+
+/**
+ * Parse a CONTENTS string into its components, in the order they appear.
+ * With `resolveAlias`, ingredients are replaced by their canonical names and
+ * the spelling found in the contents is kept as `alias`.
+ */
+export function parseComposition(contents, { resolveAlias } = {}) {
+    if (!contents) return [];
+
+    const contentsStr = String(contents).trim().toUpperCase();
+    if (NA_VALUES.includes(contentsStr)) return [];
+
+    const components = contentsStr
+        .replace(DIGIT_GROUP_SEPARATOR, "")
+        .split(COMPONENT_SEPARATOR)
+        .map(part => parseComponent(part.trim()))
+        .filter(Boolean);
+
+    if (!resolveAlias) return components;
+
+    return components.map(component => {
+        const canonical = resolveAlias(component.ingredient);
+        return canonical === component.ingredient
+            ? component
+            : { ...component, ingredient: canonical, alias: component.ingredient };
+    });
+}
+
+/**
+ * Normalize an alias or canonical name the way ingredients are, keeping a
+ * leading "* " wildcard
+ */
+export function normalizeAlias(name) {
+    const str = String(name ?? "").toUpperCase().trim();
+    if (str.startsWith(SUFFIX_WILDCARD)) {
+        const rest = cleanIngredient(str.slice(1));
+        return rest ? `${SUFFIX_WILDCARD} ${rest}` : SUFFIX_WILDCARD;
+    }
+    return cleanIngredient(str);
+}
+
+/**
+ * Build a resolver from { alias, canonical } entries.
+ *
+ * Plain entries map a whole ingredient ("ACETAMINOPHEN" -> "PARACETAMOL").
+ * Wildcard entries rewrite a trailing salt-form word: "* HCL" -> "* HYDROCHLORIDE"
+ * respells it and "* HCL" -> "*" drops it. After a wildcard rewrite the result
+ * is looked up once more, so "ACETAMINOPHEN HCL" can still reach "PARACETAMOL".
+ */
+export function createAliasResolver(entries) {
+    const exact = new Map();
+    const suffixes = [];
+
+    for (const entry of entries) {
+        const alias = normalizeAlias(entry.alias);
+        const canonical = normalizeAlias(entry.canonical);
+
+        if (alias.startsWith(SUFFIX_WILDCARD)) {
+            suffixes.push({
+                suffix: alias.slice(2),
+                replacement: canonical.slice(2)
+            });
+        } else {
+            exact.set(alias, canonical);
+        }
+    }
+
+    // Longest suffix first so "* HCL MONOHYDRATE" wins over "* MONOHYDRATE"
+    suffixes.sort((a, b) => b.suffix.length - a.suffix.length);
+
+    return function resolveAlias(ingredient) {
+        if (exact.has(ingredient)) return exact.get(ingredient);
+
+        for (const { suffix, replacement } of suffixes) {
+            if (!ingredient.endsWith(` ${suffix}`)) continue;
+
+            const base = ingredient.slice(0, -suffix.length - 1);
+            const rewritten = replacement ? `${base} ${replacement}` : base;
+            return exact.get(rewritten) ?? rewritten;
+        }
+
+        return ingredient;
+    };
+}
+
+/**
+ * Order-independent key identifying the same set of ingredients and strengths
+ */
+export function compositionKey(components) {
+    if (components.length === 0) return null;
+
+    return components
+        .map(c => c.strength === null ? c.ingredient : `${c.ingredient} ${c.strength}${c.unit ?? ""}`)
+        .sort()
+        .join(" + ");
+}
+
+/**
+ * Salt string for a composition - the ingredient names joined with " + "
+ */
+export function saltFromComposition(components) {
+    if (components.length === 0) return null;
+    return components.map(c => c.ingredient).join(" + ");
+}
+
+/**
+ * Order-independent key for the set of ingredients, ignoring strengths
+ */
+export function ingredientKey(components) {
+    if (components.length === 0) return null;
+    return [...new Set(components.map(c => c.ingredient))].sort().join(" + ");
+}
@@ -0,0 +1,112 @@
+// Rule-based dosage-form classifier for product names. Rules come from a JSON
+// file (data/dosage-forms.json by default) so forms and spellings can change
+// without code edits.
+//
+// Each rule names a form and lists `match` patterns, any of which must appear
+// in the name as whole tokens. Optional `requires` patterns must also appear
+// and `excludes` patterns must not. The highest-priority matching rule wins.
+
+import fs from "fs";
+
+// Confidence is scaled by this when a rule for a different form matched other
+// words of the name, e.g. "AMOXY CAP 500 TAB"
+const AMBIGUITY_FACTOR = 0.75;
+
+/**
+ * Compile alternatives into one regex matching them only as whole tokens,
+ * so "CAP" does not match "CAPTOPRIL"
+ */
+function tokenPattern(patterns) {
+    return new RegExp(`(?<![A-Z0-9])(?:${patterns.join("|")})(?![A-Z0-9])`, "g");
+}
+
+/**
+ * [start, end) spans where a token pattern matches
+ */
+function spans(pattern, name) {
+    return [...name.matchAll(pattern)].map(m => [m.index, m.index + m[0].length]);
+}
+
+const overlaps = (a, b) => a[0] < b[1] && b[0] < a[1];
+
+/**
+ * Validate and compile a rules config, highest priority first
+ */
+function compileRules(config) {
+    if (!config || !Array.isArray(config.rules)) {
+        throw new Error("Dosage form rules must have a rules array");
+    }
+
+    return config.rules
+        .map((rule, index) => {
+            if (!rule.form || !Array.isArray(rule.match) || rule.match.length === 0) {
+                throw new Error(`Dosage form rule ${index} needs a form and at least one match pattern`);
+            }
+
+            return {
+                form: String(rule.form).toUpperCase(),
+                priority: Number(rule.priority) || 0,
+                confidence: rule.confidence === undefined ? 1 : Number(rule.confidence),
+                match: tokenPattern(rule.match),
+                requires: rule.requires?.length ? tokenPattern(rule.requires) : null,
+                excludes: rule.excludes?.length ? tokenPattern(rule.excludes) : null
+            };
+        })
+        .sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Create a classifier from a parsed rules config
+ */
+export function createClassifier(config) {
+    const rules = compileRules(config);
+    const fallback = config.fallback ?? "OTHER";
+
+    /**
+     * Classify a product name into { form, confidence }. Names no rule
+     * matches get the fallback form with confidence 0.
+     */
+    function classify(productName) {
+        if (!productName) return { form: null, confidence: 0 };
+
+        const name = String(productName).toUpperCase().replace(/\s+/g, " ").trim();
+
+        const matched = rules
+            .map(rule => ({
+                rule,
+                match: spans(rule.match, name),
+                requires: rule.requires ? spans(rule.requires, name) : []
+            }))
+            .filter(({ rule, match, requires }) =>
+                match.length > 0 &&
+                (!rule.requires || requires.length > 0) &&
+                (!rule.excludes || spans(rule.excludes, name).length === 0)
+            );
+
+        if (matched.length === 0) return { form: fallback, confidence: 0 };
+
+        // Rules for other forms that only matched words the winner used ("EAR DROPS"
+        // vs "DROPS", "SR TAB" vs "TAB") refine it rather than contradict it
+        const [best] = matched;
+        const covered = [...best.match, ...best.requires];
+        const ambiguous = matched.some(({ rule, match }) =>
+            rule.form !== best.rule.form && match.some(span => !covered.some(c => overlaps(span, c)))
+        );
+        const confidence = ambiguous ? best.rule.confidence * AMBIGUITY_FACTOR : best.rule.confidence;
+
+        return { form: best.rule.form, confidence: Number(confidence.toFixed(4)) };
+    }
+
+    return {
+        classify,
+        version: config.version ?? null,
+        forms: [...new Set(rules.map(rule => rule.form)), fallback]
+    };
+}
+
+/**
+ * Read a rules file and create a classifier from it
+ */
+export function loadClassifier(filePath) {
+    return createClassifier(JSON.parse(fs.readFileSync(filePath, "utf8")));
+}
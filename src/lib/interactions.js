@@ -0,0 +1,70 @@
+// Checks a basket of resolved medicines against itself: ingredients that turn
+// up in more than one line (duplicate therapy) and ingredient pairs listed in
+// the interaction table.
+//
+// A basket line is { line, name, salt, ingredients }.
+
+// Interaction severities, least to most severe
+export const INTERACTION_SEVERITIES = ["MINOR", "MODERATE", "MAJOR", "CONTRAINDICATED"];
+
+/**
+ * The two ingredients of an interaction in stored order, so each pair has one row
+ */
+export function interactionPair(a, b) {
+    return a < b ? [a, b] : [b, a];
+}
+
+/**
+ * Ingredients present in more than one line. sameSalt is set when every line
+ * involved has the same salt - the same therapy under different brands -
+ * rather than merely overlapping.
+ */
+export function findDuplicateTherapy(lines) {
+    const linesByIngredient = new Map();
+
+    for (const line of lines) {
+        for (const ingredient of line.ingredients) {
+            if (!linesByIngredient.has(ingredient)) linesByIngredient.set(ingredient, []);
+            linesByIngredient.get(ingredient).push(line);
+        }
+    }
+
+    return [...linesByIngredient]
+        .filter(([, found]) => found.length > 1)
+        .map(([ingredient, found]) => ({
+            ingredient,
+            sameSalt: found.every(l => l.salt && l.salt === found[0].salt),
+            medicines: found.map(l => ({ line: l.line, name: l.name, salt: l.salt }))
+        }));
+}
+
+/**
+ * Table `interactions` ({ id, ingredientA, ingredientB, severity, description })
+ * that apply between different lines, most severe first. Ingredients combined
+ * in one product are not checked against each other.
+ */
+export function matchInteractions(lines, interactions) {
+    const linesWith = ingredient => lines.filter(l => l.ingredients.includes(ingredient));
+
+    return interactions
+        .map(interaction => {
+            const linesA = linesWith(interaction.ingredientA);
+            const linesB = linesWith(interaction.ingredientB);
+            if (!linesA.some(a => linesB.some(b => a.line !== b.line))) return null;
+
+            return {
+                id: interaction.id,
+                ingredients: [interaction.ingredientA, interaction.ingredientB],
+                severity: interaction.severity,
+                description: interaction.description ?? null,
+                medicines: [...new Set([...linesA, ...linesB])]
+                    .sort((a, b) => a.line - b.line)
+                    .map(l => ({ line: l.line, name: l.name }))
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) =>
+            INTERACTION_SEVERITIES.indexOf(b.severity) - INTERACTION_SEVERITIES.indexOf(a.severity) ||
+            a.ingredients.join().localeCompare(b.ingredients.join())
+        );
+}
@@ -0,0 +1,60 @@
+// Fuzzy name matching: edit-distance similarity between medicine names and
+// the normalization applied to both sides before they are compared.
+
+/**
+ * Calculate Levenshtein distance for fuzzy matching
+ */
+export function levenshteinDistance(str1, str2) {
+    const len1 = str1.length;
+    const len2 = str2.length;
+    const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(0));
+
+    for (let i = 0; i <= len1; i++) matrix[i][0] = i;
+    for (let j = 0; j <= len2; j++) matrix[0][j] = j;
+
+    for (let i = 1; i <= len1; i++) {
+        for (let j = 1; j <= len2; j++) {
+            const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+            matrix[i][j] = Math.min(
+                matrix[i - 1][j] + 1,      // deletion
+                matrix[i][j - 1] + 1,      // insertion
+                matrix[i - 1][j - 1] + cost // substitution
+            );
+        }
+    }
+
+    return matrix[len1][len2];
+}
+
+/**
+ * Calculate similarity score (0-1, where 1 is exact match)
+ */
+export function similarityScore(str1, str2) {
+    const s1 = str1.toLowerCase().trim();
+    const s2 = str2.toLowerCase().trim();
+    
+    if (s1 === s2) return 1;
+    
+    const maxLen = Math.max(s1.length, s2.length);
+    if (maxLen === 0) return 1;
+    
+    const distance = levenshteinDistance(s1, s2);
+    return 1 - (distance / maxLen);
+}
+
+/**
+ * Normalize string for better matching (remove common variations)
+ */
+export function normalizeString(str) {
+    if (!str) return "";
+    
+    return str
+        .toUpperCase()
+        .replace(/\s+/g, " ")           // normalize whitespace
+        .replace(/[()]/g, "")           // remove parentheses
+        .replace(/\bTABLET\b|\bTAB\b/g, "TAB")
+        .replace(/\bCAPSULE\b|\bCAP\b/g, "CAP")
+        .replace(/\bINJECTION\b|\bINJ\b/g, "INJ")
+        .replace(/\bSYRUP\b|\bSYR\b/g, "SYR")
+        .trim();
+}
@@ -0,0 +1,66 @@
+// Derives the fields stored on a medicine from upload text: the composition
+// and salt of a CONTENTS value and the dosage form of a product name.
+//
+// The salt alias dictionary and the dosage form rules are replaced at runtime
+// when an alias changes or the rules are reloaded. They are exported as live
+// bindings, so importers always see the current ones.
+
+import path from "path";
+import { parseComposition, saltFromComposition, createAliasResolver } from "./composition.js";
+import { loadClassifier } from "./dosage-form.js";
+
+// Dosage form rules, re-read by the reclassify endpoint so edits apply without a restart
+const DOSAGE_FORM_RULES = process.env.DOSAGE_FORM_RULES || path.join(import.meta.dirname, "..", "..", "data", "dosage-forms.json");
+
+export let dosageClassifier = loadClassifier(DOSAGE_FORM_RULES);
+
+// Salt alias dictionary, reloaded whenever an alias is added, changed or removed
+export let resolveSaltAlias = createAliasResolver([]);
+
+/**
+ * Re-read the dosage form rules file. Throws when it cannot be loaded, in
+ * which case the current rules stay in use.
+ */
+export function reloadDosageForms() {
+    dosageClassifier = loadClassifier(DOSAGE_FORM_RULES);
+    return dosageClassifier;
+}
+
+/**
+ * Replace the salt alias dictionary with { alias, canonical } entries
+ */
+export function setSaltAliases(entries) {
+    resolveSaltAlias = createAliasResolver(entries);
+}
+
+/**
+ * Extract salt/active ingredients from contents string, e.g.
+ * "PARACETAMOL 325MG + ACECLOFENAC 100MG" -> "PARACETAMOL + ACECLOFENAC"
+ */
+export function extractSalt(contents) {
+    return saltFromComposition(parseContents(contents));
+}
+
+/**
+ * Parse CONTENTS into components with salt aliases resolved to canonical names
+ */
+export function parseContents(contents) {
+    return parseComposition(contents, { resolveAlias: resolveSaltAlias });
+}
+
+/**
+ * Clean contents field - convert N/A values to null
+ */
+export function cleanContents(contents) {
+    if (!contents) return null;
+    const contentsStr = String(contents).trim();
+    if (["#N/A", "N/A", "NA", ""].includes(contentsStr)) return null;
+    return contentsStr;
+}
+
+/**
+ * Detect medicine type (dosage form) from product name
+ */
+export function detectType(productName) {
+    return dosageClassifier.classify(productName).form;
+}
@@ -0,0 +1,162 @@
+// Collects route specs as routes are registered and turns them into an
+// OpenAPI 3.1 document. A spec describes one operation:
+//
+//   { summary, description, tags, params, query, body, form, bodyOptional, responses, errors }
+//
+// params/query/body/form are object schemas (form is a multipart body),
+// responses maps status codes to { description, schema } and errors lists the
+// error statuses the handler itself returns.
+
+const ERROR_DESCRIPTIONS = {
+    400: "Invalid request",
+    401: "API key missing or invalid",
+    403: "API key role too low",
+    404: "Not found",
+    409: "Conflicts with an existing record",
+    429: "Rate limit exceeded",
+    500: "Server error"
+};
+
+/**
+ * "/medicines/:id" -> "/medicines/{id}"
+ */
+function openApiPath(path) {
+    return path.replace(/:(\w+)/g, "{$1}");
+}
+
+/**
+ * ("get", "/v1/medicines/:id") -> "getV1MedicinesById"
+ */
+function operationId(method, path) {
+    const words = path.split(/[/\-]/).filter(Boolean).map(part =>
+        part.startsWith(":") ? `By${part[1].toUpperCase()}${part.slice(2)}` : part[0].toUpperCase() + part.slice(1)
+    );
+    return method + words.join("");
+}
+
+/**
+ * OpenAPI parameters for the properties of an object schema
+ */
+function parameters(schema, location) {
+    if (!schema) return [];
+
+    return Object.entries(schema.properties ?? {}).map(([name, property]) => {
+        const { description, ...rest } = property;
+        return {
+            name,
+            in: location,
+            required: location === "path" || (schema.required ?? []).includes(name),
+            ...(description && { description }),
+            schema: rest
+        };
+    });
+}
+
+export function createApiRegistry({ errorSchema }) {
+    const operations = [];
+
+    /**
+     * Record an operation. `role` is the minimum role, or null for public routes.
+     */
+    function add({ method, path, spec, role }) {
+        operations.push({ method, path, spec, role });
+    }
+
+    function operation({ method, path, spec, role }, rateLimited) {
+        const errorResponse = description => ({
+            description,
+            content: { "application/json": { schema: errorSchema } }
+        });
+
+        const responses = {};
+        for (const [status, response] of Object.entries(spec.responses ?? {})) {
+            responses[status] = {
+                description: response.description,
+                ...(response.schema && { content: { [response.contentType ?? "application/json"]: { schema: response.schema } } }),
+                ...(response.content && { content: response.content })
+            };
+        }
+
+        const errorStatuses = new Set(spec.errors ?? []);
+        if (spec.params || spec.query || spec.body || spec.form) errorStatuses.add(400);
+        if (role) [401, 403].forEach(status => errorStatuses.add(status));
+        if (rateLimited) errorStatuses.add(429);
+
+        for (const status of [...errorStatuses].sort()) {
+            responses[status] ??= errorResponse(ERROR_DESCRIPTIONS[status] ?? "Error");
+        }
+
+        const content = {};
+        if (spec.body) content["application/json"] = { schema: spec.body };
+        if (spec.form) content["multipart/form-data"] = { schema: spec.form };
+
+        return {
+            operationId: spec.operationId ?? operationId(method, path),
+            summary: spec.summary,
+            ...(spec.description && { description: spec.description }),
+            ...(spec.tags && { tags: spec.tags }),
+            parameters: [...parameters(spec.params, "path"), ...parameters(spec.query, "query")],
+            ...(Object.keys(content).length > 0 && { requestBody: { required: !spec.bodyOptional, content } }),
+            responses,
+            ...(role && {
+                security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+                "x-required-role": role
+            })
+        };
+    }
+
+    /**
+     * OpenAPI document for every recorded operation. Operations under one of
+     * `rateLimitedPaths` document the 429 response.
+     */
+    function document({ info, servers = [], schemas = {}, tags = [], rateLimitedPaths = [] }) {
+        const paths = {};
+
+        for (const entry of operations) {
+            const path = openApiPath(entry.path);
+            const rateLimited = rateLimitedPaths.some(prefix => entry.path === prefix || entry.path.startsWith(`${prefix}/`));
+
+            paths[path] ??= {};
+            paths[path][entry.method] = operation(entry, rateLimited);
+        }
+
+        return {
+            openapi: "3.1.0",
+            info,
+            servers,
+            tags,
+            paths,
+            components: {
+                schemas,
+                securitySchemes: {
+                    bearerAuth: { type: "http", scheme: "bearer", description: "API key as a bearer token" },
+                    apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" }
+                }
+            }
+        };
+    }
+
+    return { add, document, operations };
+}
+
+/**
+ * Interactive docs page rendering the document at `specUrl` with Swagger UI
+ */
+export function docsPage({ title, specUrl }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+    <div id="docs"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#docs", persistAuthorization: true });
+    </script>
+</body>
+</html>
+`;
+}
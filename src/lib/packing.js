@@ -0,0 +1,58 @@
+// Parses PACKING values like "10 TAB", "1x15", "100ML" or "10'S" into a
+// pack quantity so prices can be compared per unit.
+
+const UNIT_ALIASES = {
+    TAB: "TAB", TABS: "TAB", TABLET: "TAB", TABLETS: "TAB",
+    CAP: "CAP", CAPS: "CAP", CAPSULE: "CAP", CAPSULES: "CAP",
+    ML: "ML", L: "L", LTR: "L",
+    G: "G", GM: "G", GMS: "G", GRAM: "G", GRAMS: "G",
+    "'S": "UNIT", S: "UNIT", NOS: "UNIT", PCS: "UNIT",
+    VIAL: "VIAL", VIALS: "VIAL", AMP: "AMP", AMPOULE: "AMP",
+    SACHET: "SACHET", SACHETS: "SACHET", STRIP: "STRIP"
+};
+
+// Units that count discrete items and can be compared with each other
+const COUNT_UNITS = ["TAB", "CAP", "UNIT", "VIAL", "AMP", "SACHET"];
+
+const MULTI_PACK = /(\d+(?:\.\d+)?)\s*[X*]\s*(\d+(?:\.\d+)?)\s*('S|[A-Z]+)?/;
+const SINGLE_PACK = /(\d+(?:\.\d+)?)\s*('S|[A-Z]+)?/;
+
+function normalizeUnit(unit) {
+    if (!unit) return null;
+    return UNIT_ALIASES[unit] ?? unit;
+}
+
+/**
+ * Parse a PACKING value into { quantity, unit }, or null when it has no number
+ */
+export function parsePackQuantity(packing) {
+    if (packing === undefined || packing === null) return null;
+
+    const str = String(packing).toUpperCase().replace(/\s+/g, " ").trim();
+
+    // "2x10", "1 X 15 TAB" - total units across the inner packs
+    let match = str.match(MULTI_PACK);
+    if (match) {
+        const quantity = parseFloat(match[1]) * parseFloat(match[2]);
+        return quantity > 0 ? { quantity, unit: normalizeUnit(match[3]) } : null;
+    }
+
+    match = str.match(SINGLE_PACK);
+    if (match) {
+        const quantity = parseFloat(match[1]);
+        return quantity > 0 ? { quantity, unit: normalizeUnit(match[2]) } : null;
+    }
+
+    return null;
+}
+
+/**
+ * Whether two pack quantities are measured in units that can be compared
+ */
+export function comparableUnits(a, b) {
+    if (!a || !b) return false;
+    if (a.unit === b.unit) return true;
+
+    const isCount = unit => unit === null || COUNT_UNITS.includes(unit);
+    return isCount(a.unit) && isCount(b.unit);
+}
@@ -0,0 +1,27 @@
+// Splits free-text prescription lines like "CROCIN 500 TAB x 2" into the
+// medicine name and the number of packs.
+
+// "CROCIN 500 TAB x 2", "ZERODOL P - 3", "CROCIN QTY 2" style suffixes and "2 x CROCIN" prefixes.
+// The multiplier and dash must stand apart so "MOX 500" and "TELMA-40" keep their strength.
+const QUANTITY_SUFFIX = /^(.*?)(?:\s+[x×*]\s*|\s+-\s+|\s+QTY:?\s*)(\d+)\s*$/i;
+const QUANTITY_PREFIX = /^(\d+)\s*[x×*]\s+(.+)$/i;
+
+/**
+ * Split a prescription line into medicine name and pack quantity. Lines are
+ * either free text or { name, quantity } objects.
+ */
+export function parsePrescriptionLine(item) {
+    if (item && typeof item === "object") {
+        const quantity = parseInt(item.quantity);
+        return { name: String(item.name ?? "").trim(), quantity: quantity > 0 ? quantity : 1 };
+    }
+
+    const text = String(item ?? "").trim();
+    let match = text.match(QUANTITY_PREFIX);
+    if (match) return { name: match[2].trim(), quantity: parseInt(match[1]) || 1 };
+
+    match = text.match(QUANTITY_SUFFIX);
+    if (match && match[1]) return { name: match[1].trim(), quantity: parseInt(match[2]) || 1 };
+
+    return { name: text, quantity: 1 };
+}
@@ -0,0 +1,43 @@
+// Fixed-window request counting per client key.
+
+/**
+ * Allow `limit` hits per key in each `windowMs` window
+ */
+export function createRateLimiter({ limit, windowMs }) {
+    const windows = new Map();  // key -> { count, resetAt }
+    let nextSweep = Date.now() + windowMs;
+
+    // Forget clients whose window has ended so idle keys do not pile up
+    function sweep(now) {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+        nextSweep = now + windowMs;
+    }
+
+    /**
+     * Count one request for `key`. Returns whether it is allowed along with
+     * the limit, the requests left and when the window resets (ms epoch).
+     */
+    function hit(key) {
+        const now = Date.now();
+        if (now >= nextSweep) sweep(now);
+
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+
+        window.count++;
+
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(limit - window.count, 0),
+            resetAt: window.resetAt
+        };
+    }
+
+    return { hit, limit, windowMs };
+}
@@ -0,0 +1,66 @@
+// Parses the regulatory columns of an upload - drug schedule ("Schedule H1",
+// "SCH. X", "OTC"), HSN code and GST rate - into the values stored on a
+// medicine.
+
+// Schedules under the Drugs and Cosmetics Rules. OTC stands for medicines
+// outside the prescription schedules.
+export const SCHEDULES = ["OTC", "G", "H", "H1", "X"];
+
+// GST slabs; other rates are accepted but flagged
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+const SCHEDULE_PATTERN = /^(?:SCHEDULE|SCHED\.?|SCH\.?)?[\s-]*(H[\s-]?1|H|X|G)$/;
+const OTC_VALUES = ["OTC", "NON SCHEDULED", "NON-SCHEDULED", "UNSCHEDULED", "NONE", "NIL"];
+
+// 4, 6 or 8 digit HSN codes; medicines fall under chapter 30
+const HSN_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
+
+function blank(value) {
+    return value === undefined || value === null || String(value).trim() === "";
+}
+
+/**
+ * Normalize a schedule to one of SCHEDULES. Returns null when empty and
+ * undefined when the value is not a schedule.
+ */
+export function parseSchedule(value) {
+    if (blank(value)) return null;
+
+    const str = String(value).toUpperCase().replace(/\s+/g, " ").trim();
+    if (OTC_VALUES.includes(str)) return "OTC";
+
+    const match = str.match(SCHEDULE_PATTERN);
+    return match ? match[1].replace(/[\s-]/g, "") : undefined;
+}
+
+/**
+ * HSN code with spaces and dots removed. Returns null when empty and
+ * undefined when it is not a 4, 6 or 8 digit code.
+ */
+export function parseHsnCode(value) {
+    if (blank(value)) return null;
+
+    const code = String(value).replace(/[\s.]/g, "");
+    return HSN_PATTERN.test(code) ? code : undefined;
+}
+
+/**
+ * GST rate in percent from "12", "12%" or a spreadsheet percentage cell
+ * (0.12). Returns null when empty and NaN when it is not a rate.
+ */
+export function parseGstRate(value) {
+    if (blank(value)) return null;
+
+    const rate = Number(String(value).replace(/%\s*$/, "").trim());
+    if (Number.isNaN(rate) || rate < 0 || rate > 100) return NaN;
+
+    return Number((rate > 0 && rate < 1 && typeof value === "number" ? rate * 100 : rate).toFixed(2));
+}
+
+/**
+ * Whether a generic may be offered for a brand: their schedules must match.
+ * A medicine whose schedule has not been recorded does not rule the pair out.
+ */
+export function schedulesCompatible(a, b) {
+    return !a || !b || a === b;
+}
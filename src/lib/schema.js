@@ -0,0 +1,155 @@
+// Validates values against the JSON Schema subset used in the API's OpenAPI
+// document: type (with "null" for nullable), enum, const, numeric and length
+// bounds, pattern, date-time format, items, properties, required,
+// additionalProperties, anyOf/oneOf/allOf and $ref into the components.
+//
+// Query strings, path parameters and multipart fields arrive as strings, so
+// with `coerce` numbers and booleans are parsed and single values are wrapped
+// when an array is expected.
+
+const REF_PREFIX = "#/components/schemas/";
+
+// Errors reported per value; past this the rest are dropped
+const MAX_ERRORS = 20;
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Parse a string into the first of `types` it can represent
+ */
+function coerceValue(value, types) {
+    if (types.includes("array") && !Array.isArray(value)) return [value];
+    if (typeof value !== "string") return value;
+
+    if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes("boolean") && (value === "true" || value === "false")) {
+        return value === "true";
+    }
+    if (types.includes("null") && value === "") return null;
+    return value;
+}
+
+function joinPath(path, key) {
+    if (typeof key === "number") return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolve a "#/components/schemas/Name" reference
+ */
+function resolve(schema, components) {
+    while (schema?.$ref) {
+        const name = schema.$ref.slice(REF_PREFIX.length);
+        if (!components[name]) throw new Error(`Unknown schema reference ${schema.$ref}`);
+        schema = components[name];
+    }
+    return schema;
+}
+
+function check(schema, value, path, context) {
+    const { components, coerce, errors } = context;
+    schema = resolve(schema, components);
+    if (!schema) return value;
+
+    const fail = (message, at = path) => {
+        if (errors.length < MAX_ERRORS) errors.push({ path: at || "(root)", message });
+        return value;
+    };
+
+    if (schema.allOf) {
+        for (const part of schema.allOf) value = check(part, value, path, context);
+    }
+
+    for (const keyword of ["anyOf", "oneOf"]) {
+        if (!schema[keyword]) continue;
+
+        let matched = false;
+        for (const option of schema[keyword]) {
+            const attempt = { ...context, errors: [] };
+            const result = check(option, value, path, attempt);
+            if (attempt.errors.length === 0) {
+                value = result;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) return fail(schema.description ? `must be ${schema.description}` : "does not match any allowed shape");
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (coerce) value = coerceValue(value, types);
+
+        if (!types.some(type => matchesType(value, type))) {
+            return fail(`must be ${types.join(" or ")}`);
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.filter(v => v !== null).join(", ")}`);
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+        if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) return fail("must be a date-time");
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) value = value.map((item, i) => check(schema.items, item, joinPath(path, i), context));
+    }
+
+    if (typeOf(value) === "object") {
+        const result = { ...value };
+
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) fail("is required", joinPath(path, key));
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                if (item !== undefined) result[key] = check(propertySchema, item, joinPath(path, key), context);
+            } else if (schema.additionalProperties === false) {
+                fail("is not an accepted field", joinPath(path, key));
+            } else if (typeof schema.additionalProperties === "object") {
+                result[key] = check(schema.additionalProperties, item, joinPath(path, key), context);
+            }
+        }
+        value = result;
+    }
+
+    return value;
+}
+
+/**
+ * Validate `value` against `schema`. Returns { value, errors } where value has
+ * been coerced when asked to and errors is a list of { path, message }.
+ */
+export function validate(schema, value, { components = {}, coerce = false } = {}) {
+    const errors = [];
+    const result = check(schema, value, "", { components, coerce, errors });
+    return { value: result, errors };
+}
@@ -0,0 +1,171 @@
+// In-memory trigram index for fuzzy name lookups and typeahead. Trigram
+// overlap narrows the catalogue down to a few hundred candidates, which are
+// then scored exactly.
+
+// Candidates scored per query, taken from the highest trigram overlap
+const MAX_CANDIDATES = 500;
+
+// Typeahead scores: whole name starts with the prefix, a later word does, or a typo match
+const PREFIX_SCORE = 1;
+const WORD_PREFIX_SCORE = 0.9;
+const TYPO_SCORE_FACTOR = 0.8;
+
+// Minimum similarity for a typo match, and the prefix length before typos are considered
+const TYPO_THRESHOLD = 0.75;
+const TYPO_MIN_LENGTH = 3;
+
+/**
+ * Trigrams of a normalized string, padded so word starts and ends count
+ */
+function trigrams(str) {
+    const grams = new Set();
+    for (const word of str.split(" ")) {
+        if (!word) continue;
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) {
+            grams.add(padded.slice(i, i + 3));
+        }
+    }
+    return grams;
+}
+
+/**
+ * Trigrams every word starting with `prefix` contains
+ */
+function prefixTrigrams(prefix) {
+    const padded = `  ${prefix}`;
+    const grams = [];
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.push(padded.slice(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Create an empty index.
+ *
+ * `normalize` maps a raw name to its comparable form and `score` rates two
+ * normalized strings from 0 to 1.
+ */
+export function createSearchIndex({ normalize, score }) {
+    const entries = new Map();   // id -> { id, name, key, grams, meta }
+    const postings = new Map();  // trigram -> Set of ids
+
+    function remove(id) {
+        const entry = entries.get(id);
+        if (!entry) return;
+
+        for (const gram of entry.grams) {
+            const ids = postings.get(gram);
+            ids.delete(id);
+            if (ids.size === 0) postings.delete(gram);
+        }
+        entries.delete(id);
+    }
+
+    function add(id, name, meta = {}) {
+        remove(id);
+
+        const key = normalize(name);
+        const grams = trigrams(key);
+        entries.set(id, { id, name, key, grams, meta });
+
+        for (const gram of grams) {
+            if (!postings.has(gram)) postings.set(gram, new Set());
+            postings.get(gram).add(id);
+        }
+    }
+
+    /**
+     * Ids sharing the most trigrams with a normalized key
+     */
+    function candidates(key) {
+        const overlap = new Map();
+
+        for (const gram of trigrams(key)) {
+            for (const id of postings.get(gram) ?? []) {
+                overlap.set(id, (overlap.get(id) ?? 0) + 1);
+            }
+        }
+
+        return [...overlap]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_CANDIDATES)
+            .map(([id]) => entries.get(id));
+    }
+
+    /**
+     * Ranked matches scoring at least `threshold`, paginated with limit/offset
+     */
+    function search(query, { threshold = 0, limit = 20, offset = 0 } = {}) {
+        const key = normalize(query);
+
+        const results = candidates(key)
+            .map(entry => ({ id: entry.id, name: entry.name, score: score(key, entry.key) }))
+            .filter(r => r.score >= threshold)
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+        return {
+            total: results.length,
+            results: results.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Typeahead matches for a prefix. Names starting with the prefix rank
+     * first, then names with a later word starting with it, then typo matches
+     * against the start of the name. `filter` receives each entry's meta.
+     */
+    function suggest(prefix, { limit = 10, filter } = {}) {
+        const key = normalize(prefix);
+        if (!key) return [];
+
+        const words = key.split(" ");
+        const lastWord = words[words.length - 1];
+        const matches = new Map();
+
+        // Entries with a word starting with the last typed word contain all its prefix trigrams
+        let ids = null;
+        for (const gram of prefixTrigrams(lastWord)) {
+            const posting = postings.get(gram) ?? new Set();
+            ids = ids === null ? new Set(posting) : new Set([...ids].filter(id => posting.has(id)));
+        }
+
+        for (const id of ids ?? []) {
+            const entry = entries.get(id);
+            if (filter && !filter(entry.meta)) continue;
+
+            if (entry.key.startsWith(key)) {
+                matches.set(id, { id, name: entry.name, score: PREFIX_SCORE, meta: entry.meta });
+            } else if (entry.key.includes(` ${key}`)) {
+                matches.set(id, { id, name: entry.name, score: WORD_PREFIX_SCORE, meta: entry.meta });
+            }
+        }
+
+        if (matches.size < limit && key.length >= TYPO_MIN_LENGTH) {
+            for (const entry of candidates(key)) {
+                if (matches.has(entry.id) || (filter && !filter(entry.meta))) continue;
+
+                const typoScore = score(key, entry.key.slice(0, key.length));
+                if (typoScore >= TYPO_THRESHOLD) {
+                    matches.set(entry.id, { id: entry.id, name: entry.name, score: typoScore * TYPO_SCORE_FACTOR, meta: entry.meta });
+                }
+            }
+        }
+
+        return [...matches.values()]
+            .sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+
+    return {
+        add,
+        remove,
+        search,
+        suggest,
+        get: id => entries.get(id),
+        get size() {
+            return entries.size;
+        }
+    };
+}
@@ -0,0 +1,254 @@
+// Reads upload spreadsheets - workbooks, CSV/TSV text and JSON row arrays -
+// into rows keyed by upload column. Each column profile lists the headers a
+// column may appear under; the header row is found by scanning for the row
+// that maps the most columns, so title rows above the table are skipped.
+
+import XLSX from "xlsx";
+import fs from "fs";
+import path from "path";
+import { parse as parseCsv } from "csv-parse/sync";
+
+// Spreadsheet row number and sheet attached to each parsed row
+export const ROW_NUMBER = Symbol("rowNumber");
+export const SHEET_NAME = Symbol("sheetName");
+
+// Delimiters tried when detecting the format of a CSV upload
+const CSV_DELIMITERS = [",", ";", "\t", "|"];
+
+// Extensions read as delimited text rather than as a workbook
+export const DELIMITED_EXTENSIONS = [".csv", ".tsv", ".txt"];
+
+/**
+ * Map each upload column to its index in a header row, using a profile's
+ * accepted header names. Returns null when the PRODUCT NAME column is missing.
+ */
+function matchHeaderRow(row, profile) {
+    const cells = row.map(col => String(col).trim().toUpperCase());
+    const indexes = {};
+
+    for (const [column, aliases] of Object.entries(profile.columns)) {
+        const names = [].concat(aliases).map(a => String(a).trim().toUpperCase());
+        const idx = cells.findIndex(cell => cell && names.includes(cell));
+        if (idx !== -1) indexes[column] = idx;
+    }
+
+    return indexes["PRODUCT NAME"] === undefined ? null : indexes;
+}
+
+/**
+ * Best header row of a sheet for a profile - the one mapping the most columns
+ */
+function findHeaderRow(rows, profile) {
+    const candidates = profile.headerRow
+        ? [profile.headerRow - 1]
+        : [...Array(Math.min(rows.length, profile.headerScanRows ?? rows.length)).keys()];
+
+    let best = null;
+    for (const rowIndex of candidates) {
+        const indexes = rows[rowIndex] && matchHeaderRow(rows[rowIndex], profile);
+        if (indexes && (!best || Object.keys(indexes).length > best.score)) {
+            best = { rowIndex, indexes, score: Object.keys(indexes).length };
+        }
+    }
+    return best;
+}
+
+/**
+ * Turn a table (array of row arrays) into upload rows using the best-fitting
+ * column profile. `firstRowNumber` is the row number of the table's first row.
+ * Returns null when no profile matches a header row.
+ */
+export function readTableRows(table, profiles, { sheetName = null, firstRowNumber = 1 } = {}) {
+    let best = null;
+
+    for (const profile of profiles) {
+        const match = findHeaderRow(table, profile);
+        if (match && (!best || match.score > best.score)) {
+            best = { ...match, profile };
+        }
+    }
+
+    if (!best) return null;
+
+    const dataRows = table.slice(best.rowIndex + 1);
+
+    const parsed = dataRows.map((row, i) => {
+        let obj = {
+            [ROW_NUMBER]: best.rowIndex + i + 1 + firstRowNumber,
+            [SHEET_NAME]: sheetName
+        };
+        for (const [column, idx] of Object.entries(best.indexes)) {
+            obj[column] = row[idx] ?? "";
+        }
+        return obj;
+    });
+
+    return {
+        profile: best.profile,
+        score: best.score,
+        rows: parsed.filter(r => {
+            const val = String(r["PRODUCT NAME"] ?? "").trim();
+            return val && val !== "" && val !== null;
+        })
+    };
+}
+
+/**
+ * Error for a sheet where no profile matched a header row
+ */
+function headerNotFound(profiles) {
+    return new Error(`PRODUCT NAME header not found (tried profiles: ${profiles.map(p => p.name).join(", ")})`);
+}
+
+/**
+ * Smart Excel reader that finds headers dynamically. Rows come back keyed by
+ * the profiles' column names.
+ *
+ * By default each column profile reads its own sheet and the profile mapping
+ * the most columns wins. `sheet` picks one sheet by index or name for every
+ * profile, or "all" to read every sheet that has a matching header row.
+ */
+export function readExcelSmart(filePath, profiles, { sheet } = {}) {
+    const workbook = XLSX.readFile(filePath);
+    const tables = new Map();
+
+    const readTable = name => {
+        if (!tables.has(name)) {
+            tables.set(name, XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: "" }));
+        }
+        return tables.get(name);
+    };
+
+    if (sheet === undefined || sheet === null || sheet === "") {
+        let best = null;
+
+        for (const profile of profiles) {
+            const name = workbook.SheetNames[profile.sheetIndex ?? 0];
+            if (!name) continue;
+
+            const result = readTableRows(readTable(name), [profile], { sheetName: name });
+            if (result && (!best || result.score > best.score)) {
+                best = { ...result, name };
+            }
+        }
+
+        if (!best) throw headerNotFound(profiles);
+
+        return {
+            profile: best.profile,
+            rows: best.rows,
+            sheets: [{ name: best.name, profile: best.profile.name, rows: best.rows.length }]
+        };
+    }
+
+    let names;
+    if (String(sheet).toLowerCase() === "all") {
+        names = workbook.SheetNames;
+    } else {
+        const name = /^\d+$/.test(String(sheet)) ? workbook.SheetNames[parseInt(sheet)] : String(sheet);
+        if (!workbook.Sheets[name]) {
+            throw new Error(`Sheet "${sheet}" not found (sheets: ${workbook.SheetNames.join(", ")})`);
+        }
+        names = [name];
+    }
+
+    const sheets = [];
+    const rows = [];
+    let profile = null;
+
+    for (const name of names) {
+        const result = readTableRows(readTable(name), profiles, { sheetName: name });
+        sheets.push({ name, profile: result?.profile.name ?? null, rows: result?.rows.length ?? 0 });
+
+        if (result) {
+            profile ??= result.profile;
+            rows.push(...result.rows);
+        }
+    }
+
+    if (!profile) throw headerNotFound(profiles);
+
+    return { profile, rows, sheets };
+}
+
+/**
+ * Decode a text upload, honouring a UTF-8/UTF-16 byte order mark and falling
+ * back to Windows-1252 for files that are not valid UTF-8
+ */
+export function decodeText(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { text: buffer.subarray(3).toString("utf8"), encoding: "utf-8" };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { text: new TextDecoder("utf-16le").decode(buffer.subarray(2)), encoding: "utf-16le" };
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return { text: new TextDecoder("utf-16be").decode(buffer.subarray(2)), encoding: "utf-16be" };
+    }
+
+    try {
+        return { text: new TextDecoder("utf-8", { fatal: true }).decode(buffer), encoding: "utf-8" };
+    } catch {
+        return { text: new TextDecoder("windows-1252").decode(buffer), encoding: "windows-1252" };
+    }
+}
+
+/**
+ * Guess the delimiter of a CSV/TSV - the candidate that splits the most of
+ * the first lines into the same number of fields
+ */
+export function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+    let best = { delimiter: ",", lines: 0, fields: 0 };
+
+    for (const delimiter of CSV_DELIMITERS) {
+        const frequency = new Map();
+        for (const line of lines) {
+            const count = line.split(delimiter).length - 1;
+            if (count > 0) frequency.set(count, (frequency.get(count) ?? 0) + 1);
+        }
+
+        for (const [fields, count] of frequency) {
+            if (count > best.lines || (count === best.lines && fields > best.fields)) {
+                best = { delimiter, lines: count, fields };
+            }
+        }
+    }
+
+    return best.delimiter;
+}
+
+/**
+ * Read a CSV/TSV upload. `.tsv` files are always tab-separated; otherwise
+ * the delimiter and encoding are detected.
+ */
+export function readDelimitedFile(filePath, originalName, profiles) {
+    const { text, encoding } = decodeText(fs.readFileSync(filePath));
+    const delimiter = path.extname(originalName ?? "").toLowerCase() === ".tsv" ? "\t" : detectDelimiter(text);
+
+    const table = parseCsv(text, {
+        delimiter,
+        relax_column_count: true,
+        relax_quotes: true,
+        skip_empty_lines: false
+    });
+
+    const result = readTableRows(table, profiles);
+    if (!result) throw headerNotFound(profiles);
+
+    return { profile: result.profile, rows: result.rows, encoding, delimiter };
+}
+
+/**
+ * Read a JSON array of row objects, keyed by upload columns or by any
+ * profile's source headers. Row numbers are 1-based array positions.
+ */
+export function readJsonRows(items, profiles) {
+    const header = [...new Set(items.flatMap(item => item && typeof item === "object" ? Object.keys(item) : []))];
+    const table = [header, ...items.map(item => header.map(key => item?.[key] ?? ""))];
+
+    const result = readTableRows(table, profiles, { firstRowNumber: 0 });
+    if (!result) throw headerNotFound(profiles);
+
+    return { profile: result.profile, rows: result.rows };
+}
@@ -0,0 +1,35 @@
+// Webhook signing and retry timing. A delivery is signed with HMAC-SHA256 over
+// "<timestamp>.<body>" so receivers can reject replays of old payloads.
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+/**
+ * New random signing secret for a webhook
+ */
+export function generateWebhookSecret() {
+    return "whsec_" + randomBytes(24).toString("base64url");
+}
+
+/**
+ * Signature header value for a delivery body sent at `timestamp` (unix seconds)
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+    const digest = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `sha256=${digest}`;
+}
+
+/**
+ * Check a received signature - for receivers and tests
+ */
+export function verifyWebhookSignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature ?? ""));
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): baseMs doubled per attempt, capped at maxMs
+ */
+export function retryDelay(attempt, baseMs, maxMs) {
+    return Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+}
@@ -0,0 +1,88 @@
+// Serves the app against a throwaway Postgres database for the integration
+// suites. TEST_DATABASE_URL names a database that may be wiped: each suite
+// recreates the schema with `prisma db push --force-reset` before starting
+// the app. Without it the suites are skipped.
+//
+// Postgres rather than SQLite because the schema relies on Postgres-only
+// features - case-insensitive filters, list and JSON columns.
+
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { generateApiKey } from "../../src/lib/api-keys.js";
+
+const ROOT = path.join(import.meta.dirname, "..", "..");
+
+export const FIXTURES = path.join(import.meta.dirname, "..", "fixtures");
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Reason to skip the suites, or false when they can run
+export const skip = !TEST_DATABASE_URL
+    ? "TEST_DATABASE_URL is not set"
+    : TEST_DATABASE_URL === process.env.DATABASE_URL && "TEST_DATABASE_URL must not be the DATABASE_URL it would wipe";
+
+/**
+ * Recreate the test database schema and serve the app on a free port.
+ * Returns helpers bound to it; call close() when the suite is done.
+ */
+export async function startApp() {
+    process.env.DATABASE_URL = TEST_DATABASE_URL;
+
+    execFileSync("npx", ["prisma", "db", "push", "--force-reset", "--skip-generate"], {
+        cwd: ROOT,
+        env: process.env,
+        stdio: "ignore"
+    });
+
+    const { default: app, initialize } = await import("../../app.js");
+    const { default: prisma } = await import("../../src/lib/prisma.js");
+    await initialize();
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    /**
+     * Send a request. `json` is sent as the body, `file` ({ path, name }) as
+     * the multipart "file" field. Resolves to { status, headers, body }.
+     */
+    async function request(method, url, { key, json, file, fields = {} } = {}) {
+        const headers = key ? { Authorization: `Bearer ${key}` } : {};
+        let body;
+
+        if (file) {
+            body = new FormData();
+            body.append("file", new Blob([fs.readFileSync(file.path)]), file.name ?? path.basename(file.path));
+            for (const [name, value] of Object.entries(fields)) body.append(name, value);
+        } else if (json !== undefined) {
+            headers["Content-Type"] = "application/json";
+            body = JSON.stringify(json);
+        }
+
+        const response = await fetch(`${baseUrl}${url}`, { method, headers, body });
+        const type = response.headers.get("content-type") ?? "";
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: type.includes("application/json") ? await response.json() : await response.text()
+        };
+    }
+
+    /**
+     * Issue an API key for a role and return the raw key
+     */
+    async function createKey(role) {
+        const { key, keyHash, prefix } = generateApiKey();
+        await prisma.apiKey.create({ data: { name: `test ${role.toLowerCase()}`, role, keyHash, prefix } });
+        return key;
+    }
+
+    async function close() {
+        await new Promise(resolve => server.close(resolve));
+        await prisma.$disconnect();
+    }
+
+    return { baseUrl, prisma, request, createKey, close };
+}
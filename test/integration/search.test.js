@@ -0,0 +1,90 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { FIXTURES, skip, startApp } from "./harness.js";
+
+describe("search routes", { skip }, () => {
+    let app;
+
+    const search = (url) => app.request("GET", url);
+
+    before(async () => {
+        app = await startApp();
+        const admin = await app.createKey("ADMIN");
+
+        for (const kind of ["generic", "branded"]) {
+            const { status } = await app.request("POST", `/v1/upload/${kind}`, {
+                key: admin,
+                file: { path: path.join(FIXTURES, `${kind}.csv`) }
+            });
+            assert.equal(status, 200);
+        }
+    });
+
+    after(() => app?.close());
+
+    it("lists generic substitutes for a branded medicine, cheapest per unit first", async () => {
+        const { status, body } = await search("/v1/search/branded?name=CROCIN%20500%20TAB");
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.match, { stage: "exact", confidence: 1 });
+        assert.equal(body.medicine.name, "CROCIN 500 TAB");
+        assert.equal(body.medicine.salt, "PARACETAMOL");
+        assert.equal(body.alternatives[0].name, "PARACETAMOL 500 TAB");
+        assert.equal(body.alternatives[0].matchType, "exact");
+        assert.ok(body.alternatives[0].savingsPercent > 0);
+    });
+
+    it("matches combinations whatever the ingredient order", async () => {
+        const { body } = await search("/v1/search/branded?name=ZERODOL%20P%20TAB");
+
+        assert.ok(body.alternatives.some(g => g.name === "PARACETAMOL ACECLOFENAC TAB" && g.matchType === "exact"));
+    });
+
+    it("resolves misspelled names", async () => {
+        const { status, body } = await search("/v1/search/branded?name=crocn%20500%20tablet");
+
+        assert.equal(status, 200);
+        assert.equal(body.match.stage, "fuzzy");
+        assert.equal(body.medicine.name, "CROCIN 500 TAB");
+    });
+
+    it("lists branded equivalents of a generic", async () => {
+        const { status, body } = await search("/v1/search/generic?name=amoxycillin%20500%20cap");
+
+        assert.equal(status, 200);
+        assert.equal(body.medicine.name, "AMOXYCILLIN 500 CAP");
+        assert.deepEqual(body.alternatives.map(b => b.name), ["MOX 500 CAP"]);
+    });
+
+    it("ranks fuzzy candidates", async () => {
+        const { status, body } = await search("/v1/search/generic/fuzzy?name=paracetamol%20tab&threshold=0.3");
+
+        assert.equal(status, 200);
+        assert.ok(body.candidates.length >= 2);
+        assert.ok(body.candidates.every(c => c.name.startsWith("PARACETAMOL")));
+    });
+
+    it("returns 404 for unknown medicines", async () => {
+        const { status, body } = await search("/v1/search/branded?name=QQQQ%20ZZZZ");
+
+        assert.equal(status, 404);
+        assert.equal(body.code, "NOT_FOUND");
+    });
+
+    it("keeps the unversioned response shape", async () => {
+        const { body } = await search("/search/branded?name=CROCIN%20500%20TAB");
+
+        assert.equal(body.branded.name, "CROCIN 500 TAB");
+        assert.equal(body.generics[0].name, "PARACETAMOL 500 TAB");
+        assert.match(body.generics[0].savings, /^\d+\.\d{2}%$/);
+    });
+
+    it("logs name searches for the reports", async () => {
+        const { body } = await app.request("GET", "/v1/analytics/searches/unmatched?kind=branded", {
+            key: await app.createKey("PHARMACIST")
+        });
+
+        assert.ok(body.queries.some(q => q.query === "QQQQ ZZZZ"));
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import XLSX from "xlsx";
+import { FIXTURES, skip, startApp } from "./harness.js";
+
+const GENERIC_SHEET = { path: path.join(FIXTURES, "generic.csv") };
+const BRANDED_SHEET = { path: path.join(FIXTURES, "branded.csv") };
+
+describe("upload routes", { skip }, () => {
+    let app;
+    let admin;
+    let dir;
+
+    before(async () => {
+        app = await startApp();
+        admin = await app.createKey("ADMIN");
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "upload-"));
+    });
+
+    after(async () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        await app?.close();
+    });
+
+    it("needs an admin key", async () => {
+        const pharmacist = await app.createKey("PHARMACIST");
+
+        assert.equal((await app.request("POST", "/v1/upload/generic", { file: GENERIC_SHEET })).status, 401);
+        assert.equal((await app.request("POST", "/v1/upload/generic", { key: pharmacist, file: GENERIC_SHEET })).status, 403);
+    });
+
+    it("imports a generic CSV below its title rows", async () => {
+        const { status, body } = await app.request("POST", "/v1/upload/generic", { key: admin, file: GENERIC_SHEET });
+
+        assert.equal(status, 200);
+        assert.equal(body.columnProfile, "default");
+        assert.deepEqual(body.stats, { created: 5, updated: 0, skipped: 0, total: 5 });
+
+        const combination = await app.prisma.genericMedicine.findUnique({ where: { genericName: "PARACETAMOL ACECLOFENAC TAB" } });
+        assert.equal(combination.salt, "PARACETAMOL + ACECLOFENAC");
+        assert.equal(combination.compositionKey, "ACECLOFENAC 100MG + PARACETAMOL 325MG");
+        assert.equal(combination.type, "TABLET");
+        assert.equal(combination.shipperSize, 100);
+
+        const syrup = await app.prisma.genericMedicine.findUnique({ where: { genericName: "BENADRYL TYPE SYRUP" } });
+        assert.equal(syrup.type, "SYRUP");
+    });
+
+    it("imports a semicolon-separated branded sheet with aliased headers and reports bad rows", async () => {
+        const { status, body } = await app.request("POST", "/v1/upload/branded", { key: admin, file: BRANDED_SHEET });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.stats, { created: 5, updated: 0, skipped: 1, total: 5 });
+        assert.equal(body.errors.length, 1);
+        assert.equal(body.errors[0].row, 8);
+        assert.equal(body.errors[0].name, "BROKEN PRICE TAB");
+
+        const branded = await app.prisma.brandedMedicine.findUnique({ where: { brandedName: "MOX 500 CAP" } });
+        assert.equal(branded.manufacturer, "SUN PHARMA");
+        assert.equal(branded.schedule, "H");
+        assert.equal(branded.hsnCode, "30041010");
+        assert.equal(branded.gstRate, 12);
+    });
+
+    it("updates changed rows from a workbook", async () => {
+        const file = path.join(dir, "generic-update.xlsx");
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+            ["PRODUCT NAME", "CONTENTS", "PACKING", "PTR", "MRP", "SHIPPER SIZE"],
+            ["PARACETAMOL 500 TAB", "PARACETAMOL 500MG", "10 TAB", 9, 12, 100],
+            ["CETIRIZINE 10 TAB", "CETIRIZINE 10MG", "10 TAB", 4, 7.5, 200],
+            ["ATORVASTATIN 10 TAB", "ATORVASTATIN 10MG", "10 TAB", 12, 20, 100]
+        ]), "Sheet1");
+        XLSX.writeFile(workbook, file);
+
+        const { status, body } = await app.request("POST", "/v1/upload/generic", { key: admin, file: { path: file } });
+
+        assert.equal(status, 200);
+        assert.equal(body.stats.created, 1);
+        assert.equal(body.stats.updated, 1);
+
+        const updated = await app.prisma.genericMedicine.findUnique({ where: { genericName: "PARACETAMOL 500 TAB" } });
+        assert.equal(updated.ptr, 9);
+    });
+});
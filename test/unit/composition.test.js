@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseComposition, compositionKey, ingredientKey, saltFromComposition,
+    createAliasResolver, normalizeAlias
+} from "../../src/lib/composition.js";
+
+describe("parseComposition", () => {
+    it("splits combinations into ingredients, strengths and units", () => {
+        assert.deepEqual(parseComposition("PARACETAMOL 325MG + ACECLOFENAC 100MG"), [
+            { ingredient: "PARACETAMOL", strength: 325, unit: "MG" },
+            { ingredient: "ACECLOFENAC", strength: 100, unit: "MG" }
+        ]);
+    });
+
+    it("converts grams to milligrams", () => {
+        assert.deepEqual(parseComposition("AMOXYCILLIN 0.5G"), [{ ingredient: "AMOXYCILLIN", strength: 500, unit: "MG" }]);
+    });
+
+    it("keeps digits that belong to the ingredient name", () => {
+        assert.deepEqual(parseComposition("VITAMIN D3 60000 IU"), [{ ingredient: "VITAMIN D3", strength: 60000, unit: "IU" }]);
+    });
+
+    it("reads digit-group commas as part of the strength", () => {
+        assert.deepEqual(parseComposition("CHOLECALCIFEROL 60,000 IU"), [{ ingredient: "CHOLECALCIFEROL", strength: 60000, unit: "IU" }]);
+        assert.deepEqual(parseComposition("VITAMIN A 1,00,000 IU, VITAMIN E 400MG"), [
+            { ingredient: "VITAMIN A", strength: 100000, unit: "IU" },
+            { ingredient: "VITAMIN E", strength: 400, unit: "MG" }
+        ]);
+    });
+
+    it("still splits on commas between ingredients", () => {
+        assert.deepEqual(parseComposition("PARACETAMOL 500MG,CAFFEINE 30MG").map(c => c.ingredient), ["PARACETAMOL", "CAFFEINE"]);
+    });
+
+    it("drops pharmacopoeia markers and keeps per-volume units", () => {
+        assert.deepEqual(parseComposition("CEFIXIME IP 50MG/5ML"), [{ ingredient: "CEFIXIME", strength: 50, unit: "MG/5ML" }]);
+    });
+
+    it("returns no components for N/A contents", () => {
+        assert.deepEqual(parseComposition("#N/A"), []);
+    });
+
+    it("resolves aliases and keeps the spelling found", () => {
+        const resolveAlias = createAliasResolver([{ alias: "ACETAMINOPHEN", canonical: "PARACETAMOL" }]);
+        assert.deepEqual(parseComposition("ACETAMINOPHEN 500MG", { resolveAlias }), [
+            { ingredient: "PARACETAMOL", strength: 500, unit: "MG", alias: "ACETAMINOPHEN" }
+        ]);
+    });
+});
+
+describe("composition keys", () => {
+    const combination = parseComposition("PARACETAMOL 325MG + ACECLOFENAC 100MG");
+
+    it("do not depend on ingredient order", () => {
+        assert.equal(compositionKey(parseComposition("ACECLOFENAC 100MG + PARACETAMOL 325MG")), compositionKey(combination));
+        assert.equal(compositionKey(combination), "ACECLOFENAC 100MG + PARACETAMOL 325MG");
+    });
+
+    it("ignore strengths in the ingredient key", () => {
+        assert.equal(ingredientKey(parseComposition("PARACETAMOL 500MG + ACECLOFENAC 200MG")), ingredientKey(combination));
+    });
+
+    it("give the salt in contents order", () => {
+        assert.equal(saltFromComposition(combination), "PARACETAMOL + ACECLOFENAC");
+    });
+
+    it("are null without components", () => {
+        assert.equal(compositionKey([]), null);
+        assert.equal(ingredientKey([]), null);
+        assert.equal(saltFromComposition([]), null);
+    });
+});
+
+describe("createAliasResolver", () => {
+    const resolve = createAliasResolver([
+        { alias: "ACETAMINOPHEN", canonical: "PARACETAMOL" },
+        { alias: "* HCL", canonical: "* HYDROCHLORIDE" }
+    ]);
+
+    it("maps whole ingredients and rewrites salt-form suffixes", () => {
+        assert.equal(resolve("ACETAMINOPHEN"), "PARACETAMOL");
+        assert.equal(resolve("METFORMIN HCL"), "METFORMIN HYDROCHLORIDE");
+    });
+
+    it("leaves unknown ingredients alone", () => {
+        assert.equal(resolve("IBUPROFEN"), "IBUPROFEN");
+    });
+
+    it("normalizes alias spellings like parsed ingredients", () => {
+        assert.equal(normalizeAlias(" acetaminophen ip "), "ACETAMINOPHEN");
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { interactionPair, findDuplicateTherapy, matchInteractions } from "../../src/lib/interactions.js";
+
+const basket = [
+    { line: 1, name: "CROCIN 500 TAB", salt: "PARACETAMOL", ingredients: ["PARACETAMOL"] },
+    { line: 2, name: "DOLO 650 TAB", salt: "PARACETAMOL", ingredients: ["PARACETAMOL"] },
+    { line: 3, name: "ZERODOL P TAB", salt: "ACECLOFENAC + PARACETAMOL", ingredients: ["ACECLOFENAC", "PARACETAMOL"] },
+    { line: 4, name: "ECOSPRIN 75 TAB", salt: "ASPIRIN", ingredients: ["ASPIRIN"] }
+];
+
+describe("interactionPair", () => {
+    it("orders the two ingredients", () => {
+        assert.deepEqual(interactionPair("WARFARIN", "ASPIRIN"), ["ASPIRIN", "WARFARIN"]);
+        assert.deepEqual(interactionPair("ASPIRIN", "WARFARIN"), ["ASPIRIN", "WARFARIN"]);
+    });
+});
+
+describe("findDuplicateTherapy", () => {
+    it("reports ingredients in more than one line", () => {
+        const [duplicate, ...rest] = findDuplicateTherapy(basket);
+
+        assert.equal(rest.length, 0);
+        assert.equal(duplicate.ingredient, "PARACETAMOL");
+        assert.deepEqual(duplicate.medicines.map(m => m.line), [1, 2, 3]);
+        assert.equal(duplicate.sameSalt, false);
+    });
+
+    it("flags the same salt under different brands", () => {
+        const [duplicate] = findDuplicateTherapy(basket.slice(0, 2));
+        assert.equal(duplicate.sameSalt, true);
+    });
+});
+
+describe("matchInteractions", () => {
+    const interactions = [
+        { id: "a", ingredientA: "ACECLOFENAC", ingredientB: "ASPIRIN", severity: "MODERATE", description: null },
+        { id: "b", ingredientA: "ACECLOFENAC", ingredientB: "PARACETAMOL", severity: "MINOR" },
+        { id: "c", ingredientA: "ASPIRIN", ingredientB: "WARFARIN", severity: "MAJOR" }
+    ];
+
+    it("only reports pairs found in different lines", () => {
+        const matched = matchInteractions(basket, interactions);
+
+        assert.deepEqual(matched.map(m => m.id), ["a", "b"]);
+        assert.deepEqual(matched[0].medicines, [{ line: 3, name: "ZERODOL P TAB" }, { line: 4, name: "ECOSPRIN 75 TAB" }]);
+    });
+
+    it("ignores ingredients combined in one product", () => {
+        assert.deepEqual(matchInteractions([basket[2]], interactions), []);
+    });
+
+    it("puts the most severe first", () => {
+        const lines = [...basket, { line: 5, name: "WARF 5 TAB", salt: "WARFARIN", ingredients: ["WARFARIN"] }];
+        assert.deepEqual(matchInteractions(lines, interactions).map(m => m.severity), ["MAJOR", "MODERATE", "MINOR"]);
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { levenshteinDistance, similarityScore, normalizeString } from "../../src/lib/matching.js";
+
+describe("levenshteinDistance", () => {
+    it("counts insertions, deletions and substitutions", () => {
+        assert.equal(levenshteinDistance("kitten", "sitting"), 3);
+        assert.equal(levenshteinDistance("", "abc"), 3);
+        assert.equal(levenshteinDistance("same", "same"), 0);
+    });
+});
+
+describe("similarityScore", () => {
+    it("ignores case and surrounding whitespace", () => {
+        assert.equal(similarityScore("DOLO 650", " dolo 650 "), 1);
+    });
+
+    it("scales the distance by the longer string", () => {
+        assert.equal(similarityScore("ABCD", "ABCE"), 0.75);
+        assert.equal(similarityScore("", ""), 1);
+    });
+});
+
+describe("normalizeString", () => {
+    it("unifies dosage form words, parentheses and spacing", () => {
+        assert.equal(normalizeString("Crocin  (Tablet)"), "CROCIN TAB");
+        assert.equal(normalizeString("Benadryl Syrup"), "BENADRYL SYR");
+        assert.equal(normalizeString("Ceftriaxone Injection"), "CEFTRIAXONE INJ");
+    });
+
+    it("makes typo'd names score close to the stored name", () => {
+        const score = similarityScore(normalizeString("crocn 500 tablet"), normalizeString("CROCIN 500 TAB"));
+        assert.ok(score > 0.9);
+    });
+
+    it("returns an empty string for missing names", () => {
+        assert.equal(normalizeString(null), "");
+    });
+});
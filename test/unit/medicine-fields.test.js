@@ -0,0 +1,55 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+    extractSalt, parseContents, cleanContents, detectType,
+    setSaltAliases, resolveSaltAlias, dosageClassifier, reloadDosageForms
+} from "../../src/lib/medicine-fields.js";
+
+describe("cleanContents", () => {
+    it("treats N/A values as missing", () => {
+        assert.equal(cleanContents(" #N/A "), null);
+        assert.equal(cleanContents("NA"), null);
+        assert.equal(cleanContents(null), null);
+    });
+
+    it("trims other contents", () => {
+        assert.equal(cleanContents(" PARACETAMOL 500MG "), "PARACETAMOL 500MG");
+    });
+});
+
+describe("extractSalt", () => {
+    after(() => setSaltAliases([]));
+
+    it("joins the ingredient names", () => {
+        assert.equal(extractSalt("PARACETAMOL 325MG + ACECLOFENAC 100MG"), "PARACETAMOL + ACECLOFENAC");
+        assert.equal(extractSalt("#N/A"), null);
+    });
+
+    it("uses the current salt alias dictionary", () => {
+        setSaltAliases([{ alias: "ACETAMINOPHEN", canonical: "PARACETAMOL" }]);
+
+        assert.equal(resolveSaltAlias("ACETAMINOPHEN"), "PARACETAMOL");
+        assert.equal(extractSalt("ACETAMINOPHEN 500MG"), "PARACETAMOL");
+        assert.equal(parseContents("ACETAMINOPHEN 500MG")[0].alias, "ACETAMINOPHEN");
+    });
+});
+
+describe("detectType", () => {
+    it("classifies product names by dosage form", () => {
+        assert.equal(detectType("DOLO 650 TAB"), "TABLET");
+        assert.equal(detectType("BENADRYL SYRUP"), "SYRUP");
+        assert.equal(detectType("CIPLOX EYE DROPS"), "EYE_DROPS");
+    });
+
+    it("falls back for names no rule matches", () => {
+        assert.equal(detectType("XYZ"), "OTHER");
+        assert.equal(detectType(""), null);
+    });
+
+    it("keeps classifying after the rules are reloaded", () => {
+        const reloaded = reloadDosageForms();
+
+        assert.equal(dosageClassifier, reloaded);
+        assert.deepEqual(dosageClassifier.classify("CIPLOX EYE DROPS"), { form: "EYE_DROPS", confidence: 0.95 });
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parsePackQuantity, comparableUnits } from "../../src/lib/packing.js";
+
+describe("parsePackQuantity", () => {
+    it("reads single packs with a unit", () => {
+        assert.deepEqual(parsePackQuantity("10 TAB"), { quantity: 10, unit: "TAB" });
+        assert.deepEqual(parsePackQuantity("100ML"), { quantity: 100, unit: "ML" });
+        assert.deepEqual(parsePackQuantity("10'S"), { quantity: 10, unit: "UNIT" });
+    });
+
+    it("multiplies out multi-packs", () => {
+        assert.deepEqual(parsePackQuantity("2x15"), { quantity: 30, unit: null });
+        assert.deepEqual(parsePackQuantity("1 X 15 TABS"), { quantity: 15, unit: "TAB" });
+    });
+
+    it("returns null without a quantity", () => {
+        assert.equal(parsePackQuantity("STRIP"), null);
+        assert.equal(parsePackQuantity(null), null);
+    });
+});
+
+describe("comparableUnits", () => {
+    it("treats counted units as comparable", () => {
+        assert.equal(comparableUnits({ quantity: 10, unit: "TAB" }, { quantity: 15, unit: "UNIT" }), true);
+    });
+
+    it("does not compare counts with volumes", () => {
+        assert.equal(comparableUnits({ quantity: 10, unit: "TAB" }, { quantity: 100, unit: "ML" }), false);
+        assert.equal(comparableUnits(null, { quantity: 100, unit: "ML" }), false);
+    });
+});
@@ -0,0 +1,24 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parsePrescriptionLine } from "../../src/lib/prescription.js";
+
+describe("parsePrescriptionLine", () => {
+    it("reads quantity suffixes and prefixes", () => {
+        assert.deepEqual(parsePrescriptionLine("CROCIN 500 TAB x 2"), { name: "CROCIN 500 TAB", quantity: 2 });
+        assert.deepEqual(parsePrescriptionLine("ZERODOL P - 3"), { name: "ZERODOL P", quantity: 3 });
+        assert.deepEqual(parsePrescriptionLine("DOLO 650 TAB qty: 4"), { name: "DOLO 650 TAB", quantity: 4 });
+        assert.deepEqual(parsePrescriptionLine("2 x CROCIN 500 TAB"), { name: "CROCIN 500 TAB", quantity: 2 });
+    });
+
+    it("keeps strengths that are part of the name", () => {
+        assert.deepEqual(parsePrescriptionLine("MOX 500"), { name: "MOX 500", quantity: 1 });
+        assert.deepEqual(parsePrescriptionLine("NOVAMOX 250"), { name: "NOVAMOX 250", quantity: 1 });
+        assert.deepEqual(parsePrescriptionLine("CEFIX 200"), { name: "CEFIX 200", quantity: 1 });
+        assert.deepEqual(parsePrescriptionLine("TELMA-40"), { name: "TELMA-40", quantity: 1 });
+    });
+
+    it("accepts { name, quantity } objects", () => {
+        assert.deepEqual(parsePrescriptionLine({ name: " MOX 500 ", quantity: "3" }), { name: "MOX 500", quantity: 3 });
+        assert.deepEqual(parsePrescriptionLine({ name: "MOX 500", quantity: 0 }), { name: "MOX 500", quantity: 1 });
+    });
+});
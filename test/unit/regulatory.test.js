@@ -0,0 +1,51 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseSchedule, parseHsnCode, parseGstRate, schedulesCompatible } from "../../src/lib/regulatory.js";
+
+describe("parseSchedule", () => {
+    it("normalizes schedule spellings", () => {
+        assert.equal(parseSchedule("Schedule H1"), "H1");
+        assert.equal(parseSchedule("SCH. X"), "X");
+        assert.equal(parseSchedule("h"), "H");
+        assert.equal(parseSchedule("Non-Scheduled"), "OTC");
+    });
+
+    it("returns null when empty and undefined when not a schedule", () => {
+        assert.equal(parseSchedule(""), null);
+        assert.equal(parseSchedule("Y"), undefined);
+    });
+});
+
+describe("parseHsnCode", () => {
+    it("strips spaces and dots", () => {
+        assert.equal(parseHsnCode("3004 90 99"), "30049099");
+        assert.equal(parseHsnCode("3004.90"), "300490");
+    });
+
+    it("rejects codes of the wrong length", () => {
+        assert.equal(parseHsnCode("300"), undefined);
+        assert.equal(parseHsnCode(null), null);
+    });
+});
+
+describe("parseGstRate", () => {
+    it("reads percentages and spreadsheet fractions", () => {
+        assert.equal(parseGstRate("12%"), 12);
+        assert.equal(parseGstRate(0.12), 12);
+        assert.equal(parseGstRate("5"), 5);
+    });
+
+    it("returns null when empty and NaN when not a rate", () => {
+        assert.equal(parseGstRate(""), null);
+        assert.ok(Number.isNaN(parseGstRate("abc")));
+        assert.ok(Number.isNaN(parseGstRate(150)));
+    });
+});
+
+describe("schedulesCompatible", () => {
+    it("requires matching schedules when both are known", () => {
+        assert.equal(schedulesCompatible("H", "H"), true);
+        assert.equal(schedulesCompatible("H", "X"), false);
+        assert.equal(schedulesCompatible(null, "X"), true);
+    });
+});
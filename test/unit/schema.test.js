@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../../src/lib/schema.js";
+
+const components = {
+    Medicine: {
+        type: "object",
+        properties: {
+            name: { type: "string", minLength: 1 },
+            ptr: { type: ["number", "null"], minimum: 0 },
+            schedule: { type: ["string", "null"], enum: ["OTC", "H", null] }
+        },
+        required: ["name"],
+        additionalProperties: false
+    }
+};
+
+describe("validate", () => {
+    it("accepts values matching a referenced schema", () => {
+        const { errors } = validate({ $ref: "#/components/schemas/Medicine" }, { name: "DOLO 650 TAB", ptr: 22, schedule: null }, { components });
+        assert.deepEqual(errors, []);
+    });
+
+    it("reports each failing path", () => {
+        const { errors } = validate({ $ref: "#/components/schemas/Medicine" }, { ptr: -1, schedule: "Y", extra: 1 }, { components });
+
+        assert.deepEqual(errors, [
+            { path: "name", message: "is required" },
+            { path: "ptr", message: "must be >= 0" },
+            { path: "schedule", message: "must be one of: OTC, H" },
+            { path: "extra", message: "is not an accepted field" }
+        ]);
+    });
+
+    it("coerces query strings when asked to", () => {
+        const schema = {
+            type: "object",
+            properties: { limit: { type: "integer" }, lowStock: { type: "boolean" }, ids: { type: "array", items: { type: "string" } } }
+        };
+        const { value, errors } = validate(schema, { limit: "20", lowStock: "true", ids: "a" }, { coerce: true });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { limit: 20, lowStock: true, ids: ["a"] });
+    });
+
+    it("tries each anyOf option", () => {
+        const schema = { anyOf: [{ type: "integer" }, { type: "string", pattern: "^all$" }], description: "a sheet index or \"all\"" };
+
+        assert.deepEqual(validate(schema, "all").errors, []);
+        assert.deepEqual(validate(schema, "some").errors, [{ path: "(root)", message: "must be a sheet index or \"all\"" }]);
+    });
+});
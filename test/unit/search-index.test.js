@@ -0,0 +1,52 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createSearchIndex } from "../../src/lib/search-index.js";
+import { similarityScore, normalizeString } from "../../src/lib/matching.js";
+
+describe("createSearchIndex", () => {
+    let index;
+
+    beforeEach(() => {
+        index = createSearchIndex({ normalize: normalizeString, score: similarityScore });
+        index.add("1", "CROCIN 500 TAB", { type: "TABLET" });
+        index.add("2", "CROCIN ADVANCE TAB", { type: "TABLET" });
+        index.add("3", "CALPOL SYRUP", { type: "SYRUP" });
+        index.add("4", "DOLO 650 TAB", { type: "TABLET" });
+    });
+
+    it("ranks the closest name first", () => {
+        const { total, results } = index.search("crocn 500 tablet", { threshold: 0.6 });
+
+        assert.equal(total, 1);
+        assert.equal(results[0].id, "1");
+        assert.ok(results[0].score > 0.9);
+    });
+
+    it("pages through results", () => {
+        const all = index.search("CROCIN", { limit: 10 });
+        const second = index.search("CROCIN", { limit: 1, offset: 1 });
+
+        assert.equal(second.total, all.total);
+        assert.deepEqual(second.results, all.results.slice(1, 2));
+    });
+
+    it("suggests names starting with the prefix before later-word matches", () => {
+        index.add("5", "ADVANCE PAIN RELIEF TAB");
+
+        assert.deepEqual(index.suggest("adv").map(s => s.id), ["5", "2"]);
+    });
+
+    it("filters suggestions on metadata", () => {
+        const suggestions = index.suggest("c", { filter: meta => meta.type === "SYRUP" });
+        assert.deepEqual(suggestions.map(s => s.name), ["CALPOL SYRUP"]);
+    });
+
+    it("forgets removed and replaced entries", () => {
+        index.remove("4");
+        index.add("1", "CROCIN 650 TAB");
+
+        assert.equal(index.size, 3);
+        assert.equal(index.suggest("dolo").length, 0);
+        assert.equal(index.get("1").name, "CROCIN 650 TAB");
+    });
+});
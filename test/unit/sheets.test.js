@@ -0,0 +1,169 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import XLSX from "xlsx";
+import {
+    ROW_NUMBER, SHEET_NAME, readTableRows, readExcelSmart, decodeText, detectDelimiter,
+    readDelimitedFile, readJsonRows
+} from "../../src/lib/sheets.js";
+
+const FIXTURES = path.join(import.meta.dirname, "..", "fixtures");
+
+const PROFILE = {
+    name: "default",
+    sheetIndex: 0,
+    columns: {
+        "PRODUCT NAME": ["PRODUCT NAME"],
+        "CONTENTS": ["CONTENTS"],
+        "PTR": ["PTR"],
+        "MRP": ["MRP"],
+        "MANUFACTURER": ["MANUFACTURER", "MFR"],
+        "GST RATE": ["GST RATE", "GST %"]
+    }
+};
+
+const DISTRIBUTOR_PROFILE = {
+    name: "distributor",
+    sheetIndex: 1,
+    columns: { "PRODUCT NAME": ["ITEM"], "PTR": ["RATE"] }
+};
+
+describe("readTableRows", () => {
+    const table = [
+        ["Price list", "", ""],
+        ["", "", ""],
+        ["Product Name ", "PTR", "MRP"],
+        ["DOLO 650 TAB", 22, 30.91],
+        ["", "", ""],
+        ["CROCIN 500 TAB", 18, 25]
+    ];
+
+    it("finds the header row below title rows", () => {
+        const { profile, rows } = readTableRows(table, [PROFILE]);
+
+        assert.equal(profile.name, "default");
+        assert.deepEqual(rows.map(r => Object.fromEntries(Object.entries(r))), [
+            { "PRODUCT NAME": "DOLO 650 TAB", "PTR": 22, "MRP": 30.91 },
+            { "PRODUCT NAME": "CROCIN 500 TAB", "PTR": 18, "MRP": 25 }
+        ]);
+    });
+
+    it("numbers rows as the spreadsheet does", () => {
+        const { rows } = readTableRows(table, [PROFILE], { sheetName: "Sheet1" });
+
+        assert.deepEqual(rows.map(r => r[ROW_NUMBER]), [4, 6]);
+        assert.equal(rows[0][SHEET_NAME], "Sheet1");
+    });
+
+    it("honours a fixed header row", () => {
+        assert.equal(readTableRows(table, [{ ...PROFILE, headerRow: 1 }]), null);
+    });
+
+    it("returns null when no profile matches", () => {
+        assert.equal(readTableRows([["NAME", "PRICE"]], [PROFILE]), null);
+    });
+});
+
+describe("decodeText", () => {
+    it("strips a UTF-8 byte order mark", () => {
+        const buffer = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from("PRODUCT NAME")]);
+        assert.deepEqual(decodeText(buffer), { text: "PRODUCT NAME", encoding: "utf-8" });
+    });
+
+    it("reads UTF-16 files", () => {
+        const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from("PTR", "utf16le")]);
+        assert.deepEqual(decodeText(buffer), { text: "PTR", encoding: "utf-16le" });
+    });
+
+    it("falls back to Windows-1252 for invalid UTF-8", () => {
+        assert.deepEqual(decodeText(Buffer.from([0x39, 0x39, 0xB0])), { text: "99°", encoding: "windows-1252" });
+    });
+});
+
+describe("detectDelimiter", () => {
+    it("picks the delimiter splitting lines consistently", () => {
+        assert.equal(detectDelimiter("PRODUCT NAME;PTR;MRP\nDOLO, 650 TAB;22;30"), ";");
+        assert.equal(detectDelimiter("PRODUCT NAME\tPTR\nDOLO 650 TAB\t22"), "\t");
+        assert.equal(detectDelimiter("PRODUCT NAME"), ",");
+    });
+});
+
+describe("readDelimitedFile", () => {
+    it("reads a CSV with title rows and CRLF line endings", () => {
+        const file = path.join(FIXTURES, "generic.csv");
+        const { rows, delimiter, encoding } = readDelimitedFile(file, "generic.csv", [PROFILE]);
+
+        assert.equal(delimiter, ",");
+        assert.equal(encoding, "utf-8");
+        assert.equal(rows.length, 5);
+        assert.equal(rows[0]["PRODUCT NAME"], "PARACETAMOL 500 TAB");
+        assert.equal(rows[0][ROW_NUMBER], 5);
+    });
+
+    it("maps aliased headers of a semicolon-separated sheet", () => {
+        const file = path.join(FIXTURES, "branded.csv");
+        const { rows, delimiter } = readDelimitedFile(file, "branded.csv", [PROFILE]);
+
+        assert.equal(delimiter, ";");
+        assert.equal(rows[0]["MANUFACTURER"], "MICRO LABS");
+        assert.equal(rows[3]["GST RATE"], "12%");
+    });
+});
+
+describe("readExcelSmart", () => {
+    let dir;
+    let file;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "sheets-"));
+        file = path.join(dir, "upload.xlsx");
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+            ["Generic price list"],
+            ["PRODUCT NAME", "PTR", "MRP"],
+            ["PARACETAMOL 500 TAB", 8.5, 12]
+        ]), "Generics");
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+            ["ITEM", "RATE"],
+            ["DOLO 650 TAB", 22],
+            ["CROCIN 500 TAB", 18]
+        ]), "Distributor");
+        XLSX.writeFile(workbook, file);
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("reads each profile's own sheet and keeps the best match", () => {
+        const { profile, rows, sheets } = readExcelSmart(file, [PROFILE, DISTRIBUTOR_PROFILE]);
+
+        assert.equal(profile.name, "default");
+        assert.deepEqual(sheets, [{ name: "Generics", profile: "default", rows: 1 }]);
+        assert.equal(rows[0][ROW_NUMBER], 3);
+    });
+
+    it("reads every sheet with a matching header", () => {
+        const { rows, sheets } = readExcelSmart(file, [PROFILE, DISTRIBUTOR_PROFILE], { sheet: "all" });
+
+        assert.deepEqual(sheets.map(s => [s.name, s.profile, s.rows]), [["Generics", "default", 1], ["Distributor", "distributor", 2]]);
+        assert.deepEqual(rows.map(r => r[SHEET_NAME]), ["Generics", "Distributor", "Distributor"]);
+    });
+
+    it("rejects unknown sheets and sheets without a header", () => {
+        assert.throws(() => readExcelSmart(file, [PROFILE], { sheet: "Prices" }), /Sheet "Prices" not found/);
+        assert.throws(() => readExcelSmart(file, [PROFILE], { sheet: 1 }), /PRODUCT NAME header not found \(tried profiles: default\)/);
+    });
+});
+
+describe("readJsonRows", () => {
+    it("maps row objects by source header and numbers them from 1", () => {
+        const { rows } = readJsonRows([{ MFR: "GSK", "PRODUCT NAME": "CROCIN 500 TAB" }, { "PRODUCT NAME": "DOLO 650 TAB" }], [PROFILE]);
+
+        assert.deepEqual(rows.map(r => [r[ROW_NUMBER], r["PRODUCT NAME"], r["MANUFACTURER"]]), [
+            [1, "CROCIN 500 TAB", "GSK"],
+            [2, "DOLO 650 TAB", ""]
+        ]);
+    });
+});